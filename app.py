@@ -13,6 +13,9 @@ CORS(app) # Enable CORS for cross-origin requests from your HTML
 # We retrieve it here from the environment variables.
 GEMINI_API_KEY = os.environ.get('GEMINI_API_KEY')
 
+# Fail-safe positions the frontend can send (values of the failSafePosition select)
+FAIL_SAFE_POSITIONS = ('fail_close', 'fail_open', 'fail_last')
+
 # Initialize model to None. It will be set if configuration is successful.
 model = None
 
@@ -75,8 +78,21 @@ def recommend_valve():
     nominal_diameter = data.get('nominalDiameter')
     fluid_type = data.get('fluidType')
     actuation_type = data.get('actuationType')
+    actuator_variant = data.get('actuatorVariant')
+    actuator_accessories = data.get('actuatorAccessories')
+    fail_safe_position = data.get('failSafePosition')
     ai_prompt_text = data.get('aiPrompt', '') # Get the new AI prompt text
 
+    # Actuator variant and accessories come from the request as keys like 'spring_return_fail_close';
+    # anything that is not a string (or a list of strings) is ignored rather than put in the prompt
+    actuator_variant_text = actuator_variant.replace('_', ' ') if isinstance(actuator_variant, str) and actuator_variant else 'Not specified'
+    if isinstance(actuator_accessories, list):
+        accessory_names = [accessory.replace('_', ' ') for accessory in actuator_accessories if isinstance(accessory, str) and accessory]
+    else:
+        accessory_names = []
+    actuator_accessories_text = ', '.join(accessory_names) if accessory_names else 'None'
+    fail_safe_position_text = fail_safe_position.replace('_', ' ') if fail_safe_position in FAIL_SAFE_POSITIONS else 'Not specified'
+
     # Construct a detailed prompt for the AI
     prompt = f"""
     You are an expert valve configurator. Based on the following user requirements,
@@ -94,6 +110,9 @@ def recommend_valve():
     - Nominal Diameter (Optional): {nominal_diameter if nominal_diameter else 'Not specified'}
     - Fluid Type: {fluid_type}
     - Actuation Type: {actuation_type}
+    - Actuator Variant (Optional): {actuator_variant_text}
+    - Actuator Accessories (Optional): {actuator_accessories_text}
+    - Fail-Safe Position (Optional): {fail_safe_position_text}
     - Additional Context/Requirements: {ai_prompt_text if ai_prompt_text else 'None provided'}
 
     Consider these general guidelines (similar to the Tecofi Guide):
@@ -1,294 +1,3631 @@
 // script.js
 
-// Three.js global variables
+// The main 3D viewer, and shortcuts to its scene, camera, renderer and controls
+let mainViewer = null;
 let scene, camera, renderer, controls, currentModel;
+// Configuration the current 3D model was built from (see update3DModel)
+let currentConfig = null;
+// Form inputs and recommendations of the last submission, kept for compare mode
+let currentInputs = null;
+let currentRecommendations = [];
+
+// Animated camera move between views (see startCameraTransition)
+const cameraTransition = { active: false, elapsed: 0, fromTarget: null, toTarget: null, fromOffset: null, toOffset: null };
+
+// Pipeline mode: the current model installed in a pipe run (see createPipeline)
+const pipelineState = { enabled: false, orientation: 'horizontal', showArrow: true, pipeline: null, floor: null };
+// Holds the current model, its pipe run and flow overlay, and turns them to the pipeline orientation
+const installation = new THREE.Group();
+installation.name = 'installation';
+
+// Element the 2D schematic is drawn in when WebGL is unavailable and there is no 3D viewer (see initSchematicView)
+let schematicView = null;
+
+// Compare mode: a pinned configuration shown in its own scene next to the current one (see startCompare)
+const compareState = { enabled: false, config: null, inputs: null, recommendations: [], scene: null, installation: null, model: null };
+
+// Stroke simulation: position 0 = closed, 1 = fully open; direction is +1 while opening.
+// failTarget is the position the valve is running to in a simulated supply failure, null otherwise.
+const strokeState = { position: 0, playing: false, direction: 1, failTarget: null };
+
+// Cutaway view: a clipping plane along the flow axis that removes the part of the body in front of it.
+// Each model has its own plane (see applyCutaway), placed through its own depth.
+const cutawayState = { enabled: false, offset: 0 };
+
+// Flow overlay: particles moving through the bore (see createFlowParticles)
+const flowState = { enabled: false };
+let flowParticles = null;
+
+// Part picking: the picked mesh of currentModel and the overlay highlighting it
+const partSelection = { mesh: null, highlight: null };
+const partRaycaster = new THREE.Raycaster();
+
+// Dimension lines of the current model (see createDimensionAnnotations), in the scene and turned with the installation
+const dimensionState = { enabled: false, annotations: null };
+// Measure tool: up to two points snapped to vertices of currentModel, in world coordinates, and the overlay showing them
+const measureState = { enabled: false, points: [], overlay: null };
+const ANNOTATION_COLOR = 0x0d47a1;
+
+// Geometries and materials shared between models: key -> { resource, refs }, refs = meshes using it (see getCachedResource)
+const resourceCache = new Map();
+const resourceKeys = new WeakMap();
+const geometryFactoryIds = new Map();
+
+// Time for one full stroke, in seconds: quarter-turn valves are much faster than multi-turn valves
+const STROKE_DURATION_QUARTER_TURN = 1.5;
+const STROKE_DURATION_MULTI_TURN = 5;
+
+/**
+ * Creates a scene with the viewer background, image-based reflections and the standard key and fill lights.
+ * @param {THREE.Texture|null} environment - Environment map (see createEnvironmentMap).
+ * @returns {THREE.Scene}
+ */
+function createViewerScene(environment) {
+    const viewerScene = new THREE.Scene();
+    viewerScene.background = new THREE.Color(0xf0f0f0);
+    viewerScene.environment = environment;
+    viewerScene.add(new THREE.AmbientLight(0x404040));
+    const directionalLight = new THREE.DirectionalLight(0xffffff, 0.8);
+    directionalLight.position.set(1, 1, 1).normalize();
+    viewerScene.add(directionalLight);
+    return viewerScene;
+}
+
+/**
+ * A self-contained 3D viewer with its own scene, camera, renderer and orbit controls. It draws on demand,
+ * follows its container's size with a ResizeObserver, renders at the device pixel ratio and stops
+ * drawing while the page is hidden, so several viewers can share a page.
+ */
+class ValveViewer {
+    /**
+     * @param {HTMLElement|null} container - Element the canvas is added to; null for an offscreen viewer sized with setSize().
+     * @param {Object} [options]
+     * @param {boolean} [options.controls=true] - Whether the camera can be orbited with the mouse.
+     * @param {number} [options.fov=75] - Vertical field of view in degrees.
+     * @param {boolean} [options.preserveDrawingBuffer=false] - Keep the drawn image, for toDataURL().
+     * @param {Function} [options.onFrame] - Called with the seconds since the previous frame before each frame is drawn;
+     *     returns true while it still has something to animate.
+     * @param {Function} [options.render] - Draws a frame, instead of rendering the scene through the camera.
+     */
+    constructor(container, options = {}) {
+        this.container = container;
+        this.onFrame = options.onFrame || null;
+        this.renderCallback = options.render || null;
+        this.columns = 1; // Side-by-side viewports sharing the camera, e.g. 2 in compare mode
+        this.frameRequest = null;
+        this.clock = new THREE.Clock();
+
+        this.renderer = new THREE.WebGLRenderer({ antialias: true, preserveDrawingBuffer: !!options.preserveDrawingBuffer });
+        this.renderer.localClippingEnabled = true; // Needed for the cutaway view
+        this.scene = createViewerScene(createEnvironmentMap(this.renderer));
+        this.camera = new THREE.PerspectiveCamera(options.fov || 75, 1, 0.1, 1000);
+        this.camera.position.set(0, 0, 5);
+
+        if (options.controls !== false) {
+            this.controls = new THREE.OrbitControls(this.camera, this.renderer.domElement);
+            this.controls.enableDamping = true;
+            this.controls.dampingFactor = 0.25;
+            this.controls.screenSpacePanning = false;
+            // Redraw while the view is dragged or still settling from damping
+            this.controls.addEventListener('change', () => this.requestRender());
+        } else {
+            this.controls = null;
+        }
+
+        // Stop drawing entirely in a background tab and pick up again when it is shown
+        this.onVisibilityChange = () => {
+            if (document.hidden) {
+                this.cancelFrame();
+            } else {
+                this.requestRender();
+            }
+        };
+        document.addEventListener('visibilitychange', this.onVisibilityChange);
+
+        if (container) {
+            container.appendChild(this.renderer.domElement);
+            if (typeof ResizeObserver !== 'undefined') {
+                this.resizeObserver = new ResizeObserver(() => this.resize());
+                this.resizeObserver.observe(container);
+            } else {
+                this.onWindowResize = () => this.resize();
+                window.addEventListener('resize', this.onWindowResize);
+            }
+            this.watchPixelRatio();
+            this.resize();
+        }
+    }
+
+    /**
+     * Matches the canvas to the container size and the screen's pixel ratio.
+     */
+    resize() {
+        if (!this.container) return;
+        this.setSize(this.container.clientWidth, this.container.clientHeight);
+    }
+
+    /**
+     * Sets the drawing size in CSS pixels; the canvas resolution follows devicePixelRatio.
+     * @param {number} width - Width in CSS pixels.
+     * @param {number} height - Height in CSS pixels.
+     */
+    setSize(width, height) {
+        if (width === 0 || height === 0) return; // Hidden or collapsed container
+        this.renderer.setPixelRatio(window.devicePixelRatio || 1);
+        this.renderer.setSize(width, height);
+        this.camera.aspect = width / this.columns / height;
+        this.camera.updateProjectionMatrix();
+        this.requestRender();
+    }
+
+    /**
+     * Resizes when devicePixelRatio changes, e.g. when the window moves to another screen or the page is zoomed.
+     */
+    watchPixelRatio() {
+        if (typeof window.matchMedia !== 'function') return;
+        const query = window.matchMedia(`(resolution: ${window.devicePixelRatio || 1}dppx)`);
+        // Older browsers only have addListener on media queries; the viewer then keeps its first pixel ratio
+        if (!query || typeof query.addEventListener !== 'function') return;
+        this.pixelRatioQuery = query;
+        this.onPixelRatioChange = () => {
+            this.pixelRatioQuery.removeEventListener('change', this.onPixelRatioChange);
+            this.watchPixelRatio();
+            this.resize();
+        };
+        this.pixelRatioQuery.addEventListener('change', this.onPixelRatioChange);
+    }
+
+    /**
+     * Asks for a redraw on the next animation frame. Several requests in one frame draw once,
+     * and nothing is drawn while the page is hidden.
+     */
+    requestRender() {
+        if (this.frameRequest === null && !document.hidden) {
+            this.frameRequest = requestAnimationFrame(() => this.renderFrame());
+        }
+    }
+
+    /**
+     * Cancels a pending redraw.
+     */
+    cancelFrame() {
+        if (this.frameRequest !== null) {
+            cancelAnimationFrame(this.frameRequest);
+            this.frameRequest = null;
+        }
+    }
+
+    /**
+     * Draws one frame and requests the next one only while something is still moving.
+     */
+    renderFrame() {
+        this.frameRequest = null;
+        // Clamped so animations do not jump after the viewer has been idle
+        const delta = Math.min(this.clock.getDelta(), 0.1);
+        const animating = this.onFrame ? this.onFrame(delta) : false;
+        if (this.controls) this.controls.update();
+        this.draw();
+        if (animating) this.requestRender();
+    }
+
+    /**
+     * Draws the scene through the camera, or with the render option when one was given.
+     */
+    draw() {
+        if (this.renderCallback) {
+            this.renderCallback();
+        } else {
+            this.renderer.render(this.scene, this.camera);
+        }
+    }
+
+    /**
+     * Computes where the camera goes to see a whole bounding box from a direction.
+     * @param {THREE.Box3} box - Bounds to fit.
+     * @param {THREE.Vector3} direction - Direction from the box to the camera.
+     * @returns {{position: THREE.Vector3, target: THREE.Vector3, distance: number, radius: number}}
+     */
+    getFramedView(box, direction) {
+        const sphere = box.getBoundingSphere(new THREE.Sphere());
+        const halfFov = THREE.MathUtils.degToRad(this.camera.fov / 2);
+        const distance = (sphere.radius / Math.sin(Math.min(halfFov, halfFov * this.camera.aspect))) * 1.1;
+        const position = sphere.center.clone().addScaledVector(direction.clone().normalize(), distance);
+        return { position, target: sphere.center, distance, radius: sphere.radius };
+    }
+
+    /**
+     * Moves the camera so an object fills the view, seen from a direction.
+     * @param {THREE.Object3D} object - Object to frame.
+     * @param {THREE.Vector3} direction - Direction from the object to the camera.
+     */
+    frameObject(object, direction) {
+        const view = this.getFramedView(new THREE.Box3().setFromObject(object), direction);
+        this.camera.position.copy(view.position);
+        this.camera.near = view.distance / 100;
+        this.camera.far = view.distance * 100;
+        this.camera.lookAt(view.target);
+        this.camera.updateProjectionMatrix();
+        if (this.controls) {
+            this.controls.target.copy(view.target);
+            this.controls.update();
+        }
+        this.requestRender();
+    }
+
+    /**
+     * Releases the renderer, controls and observers and removes the canvas. Objects in the scene are left to their owner.
+     */
+    dispose() {
+        this.cancelFrame();
+        document.removeEventListener('visibilitychange', this.onVisibilityChange);
+        if (this.resizeObserver) this.resizeObserver.disconnect();
+        if (this.onWindowResize) window.removeEventListener('resize', this.onWindowResize);
+        if (this.pixelRatioQuery) this.pixelRatioQuery.removeEventListener('change', this.onPixelRatioChange);
+        if (this.controls) this.controls.dispose();
+        if (this.scene.environment) this.scene.environment.dispose();
+        this.renderer.dispose();
+        if (this.renderer.domElement.parentNode) {
+            this.renderer.domElement.parentNode.removeChild(this.renderer.domElement);
+        }
+    }
+}
+
+/**
+ * Initializes the main viewer in #container3D and the part picking on its canvas.
+ * This function is called once when the page loads.
+ */
+function init3D() {
+    console.log("init3D called: Initializing 3D scene.");
+    const container = document.getElementById('container3D');
+    if (!container) {
+        console.error("Error: #container3D not found in the DOM.");
+        return;
+    }
+
+    container.innerHTML = ''; // Clear any initial text
+    try {
+        mainViewer = new ValveViewer(container, { onFrame: advanceViewerAnimations, render: drawMainViewer });
+    } catch (error) {
+        // Locked-down PCs and some remote desktop sessions have no WebGL
+        console.error("Error creating the 3D viewer, showing 2D schematics instead:", error);
+        initSchematicView(container);
+        return;
+    }
+    ({ scene, camera, renderer, controls } = mainViewer);
+    scene.add(installation);
+
+    // Tooltip describing the picked part
+    const tooltip = document.createElement('div');
+    tooltip.id = 'partTooltip';
+    tooltip.className = 'part-tooltip card shadow-sm small p-2 d-none';
+    tooltip.setAttribute('role', 'tooltip');
+    container.appendChild(tooltip);
+
+    // Dragging the view takes over from a running camera transition
+    controls.addEventListener('start', () => {
+        cameraTransition.active = false;
+    });
+
+    // Pick a part or a measure point on click, but not at the end of an orbit drag
+    let pointerDown = null;
+    renderer.domElement.addEventListener('pointerdown', (event) => {
+        pointerDown = { x: event.clientX, y: event.clientY };
+    });
+    renderer.domElement.addEventListener('pointerup', (event) => {
+        if (!pointerDown || Math.hypot(event.clientX - pointerDown.x, event.clientY - pointerDown.y) > 4) return;
+        if (measureState.enabled) {
+            addMeasurePoint(event.clientX, event.clientY);
+            return;
+        }
+        const mesh = pickPart(event.clientX, event.clientY);
+        if (mesh) {
+            selectPart(mesh, event.clientX, event.clientY);
+        } else {
+            clearPartSelection();
+        }
+    });
+
+    console.log("3D scene initialized successfully.");
+}
+
+/**
+ * Asks for the main viewer to be redrawn (see ValveViewer.requestRender).
+ */
+function requestRender() {
+    if (mainViewer) mainViewer.requestRender();
+}
+
+/**
+ * Whether something in the main viewer moves by itself and needs continuous frames.
+ * @returns {boolean}
+ */
+function isViewerAnimating() {
+    return strokeState.playing ||
+        strokeState.failTarget !== null ||
+        cameraTransition.active ||
+        (flowParticles !== null && strokeState.position > 0);
+}
+
+/**
+ * Advances the stroke, flow and camera animations of the main viewer before each frame.
+ * @param {number} delta - Seconds since the previous frame.
+ * @returns {boolean} Whether another frame is needed.
+ */
+function advanceViewerAnimations(delta) {
+    if (strokeState.playing) {
+        advanceStroke(delta);
+    } else if (strokeState.failTarget !== null) {
+        advanceFailAction(delta);
+    }
+    if (flowState.enabled) {
+        advanceFlow(delta);
+    }
+    updatePartHighlight();
+    if (cameraTransition.active) {
+        advanceCameraTransition(delta);
+    }
+    return isViewerAnimating();
+}
+
+/**
+ * Draws the main viewer, split in two viewports in compare mode.
+ */
+function drawMainViewer() {
+    if (compareState.enabled) {
+        renderSplitView();
+    } else {
+        renderer.render(scene, camera);
+    }
+}
+
+/**
+ * Moves the stroke animation forward, reversing at the open and closed end positions.
+ * @param {number} delta - Seconds since the previous frame.
+ */
+function advanceStroke(delta) {
+    if (!currentModel) return;
+    const family = VALVE_FAMILIES[currentModel.userData.valveFamily];
+    const duration = family.quarterTurn ? STROKE_DURATION_QUARTER_TURN : STROKE_DURATION_MULTI_TURN;
+
+    let position = strokeState.position + strokeState.direction * delta / duration;
+    if (position >= 1 || position <= 0) {
+        position = Math.min(Math.max(position, 0), 1);
+        strokeState.direction = -strokeState.direction;
+    }
+    setStrokePosition(position);
+}
+
+/**
+ * Moves the valve towards its fail position, at the stroke speed of the valve, and stops there.
+ * @param {number} delta - Seconds since the previous frame.
+ */
+function advanceFailAction(delta) {
+    if (!currentModel) {
+        strokeState.failTarget = null;
+        return;
+    }
+    const family = VALVE_FAMILIES[currentModel.userData.valveFamily];
+    const duration = family.quarterTurn ? STROKE_DURATION_QUARTER_TURN : STROKE_DURATION_MULTI_TURN;
+    const step = delta / duration;
+    const remaining = strokeState.failTarget - strokeState.position;
+
+    if (Math.abs(remaining) <= step) {
+        setStrokePosition(strokeState.failTarget);
+        strokeState.failTarget = null;
+    } else {
+        setStrokePosition(strokeState.position + Math.sign(remaining) * step);
+    }
+}
+
+/**
+ * Simulates a failure of the air or power supply: the current model runs to its fail position.
+ * Valves that fail last stay where they are.
+ */
+function simulateSupplyFailure() {
+    const failSafe = currentModel && FAIL_SAFE_POSITIONS[currentModel.userData.failSafePosition];
+    if (!failSafe || failSafe.stroke === null) return;
+    setStrokePlaying(false);
+    strokeState.failTarget = failSafe.stroke;
+    requestRender();
+}
+
+/**
+ * Enables the supply failure button for models with a fail-close or fail-open actuator,
+ * and describes the fail action of the current model in its tooltip.
+ */
+function updateFailSafeButton() {
+    const button = document.getElementById('failSafeButton');
+    if (!button) return;
+    const failSafe = currentModel && FAIL_SAFE_POSITIONS[currentModel.userData.failSafePosition];
+    button.disabled = !failSafe || failSafe.stroke === null;
+    if (!failSafe) {
+        button.title = 'Only electric and pneumatic actuators have a fail-safe position';
+    } else if (failSafe.stroke === null) {
+        button.title = `${failSafe.label}: the valve stays where it is when the supply fails`;
+    } else {
+        button.title = `Simulate a supply failure (${failSafe.label.toLowerCase()})`;
+    }
+}
+
+/**
+ * Sets the opening of the current model and keeps the stroke slider in step.
+ * @param {number} position - 0 = closed, 1 = fully open.
+ */
+function setStrokePosition(position) {
+    strokeState.position = position;
+    if (currentModel) {
+        applyStrokePosition(currentModel, position);
+    }
+    if (compareState.model) {
+        applyStrokePosition(compareState.model, position);
+    }
+
+    const slider = document.getElementById('strokeSlider');
+    const label = document.getElementById('strokeValue');
+    if (slider) slider.value = Math.round(position * 100);
+    if (label) label.textContent = `${Math.round(position * 100)}% open`;
+    requestRender();
+}
+
+/**
+ * Clips the body materials of a model with its cutaway plane, or removes the clipping.
+ * At offset 0 the plane runs through the flow axis (z = 0 of the model), whatever accessories stick out
+ * of the model; cutawayState.offset moves it from there to the back (-1) or front (1) of the model.
+ * Models shown at the same time must not share body materials (see isolateCutawayMaterials).
+ * @param {THREE.Object3D} model - A model built by buildValveModel.
+ */
+function applyCutaway(model) {
+    if (!model.userData.cutawayPlane) {
+        model.userData.cutawayPlane = new THREE.Plane(new THREE.Vector3(0, 0, -1), 0);
+    }
+    const plane = model.userData.cutawayPlane;
+    // Pipeline orientations turn the model about Z, so the flow axis keeps the depth of the model origin
+    const box = new THREE.Box3().setFromObject(model);
+    const axisZ = model.getWorldPosition(new THREE.Vector3()).z;
+    const { offset } = cutawayState;
+    plane.constant = axisZ + offset * (offset > 0 ? box.max.z - axisZ : axisZ - box.min.z);
+
+    model.traverse((object) => {
+        if (object.isMesh && object.material.userData.cutaway) {
+            object.material.clippingPlanes = cutawayState.enabled ? [plane] : null;
+            object.material.needsUpdate = true;
+        }
+    });
+}
+
+/**
+ * Gives a model its own copies of the cut body materials, which are otherwise shared through the
+ * resource cache with the current model, so each can be clipped by its own cutaway plane.
+ * @param {THREE.Object3D} model - A model built by buildValveModel.
+ */
+function isolateCutawayMaterials(model) {
+    const copies = new Map();
+    model.traverse((object) => {
+        if (!object.isMesh || !object.material.userData.cutaway) return;
+        if (!copies.has(object.material)) copies.set(object.material, object.material.clone());
+        const copy = copies.get(object.material);
+        releaseResource(object.material);
+        object.material = copy; // Not cached, so disposeModel frees it with the model
+    });
+}
+
+/**
+ * Turns the cutaway view on or off, or moves its plane, and updates the current model.
+ * @param {boolean} enabled - Whether the body is cut.
+ * @param {number} offset - Plane position through the model depth, from -1 (back) through 0 (flow axis) to 1 (front).
+ */
+function setCutaway(enabled, offset) {
+    cutawayState.enabled = enabled;
+    cutawayState.offset = offset;
+    if (compareState.model) {
+        applyCutaway(compareState.model);
+    }
+    if (currentModel) {
+        applyCutaway(currentModel);
+    }
+    requestRender();
+}
+
+/**
+ * Starts or pauses the open/close stroke animation.
+ * @param {boolean} playing - Whether the animation should run.
+ */
+function setStrokePlaying(playing) {
+    strokeState.playing = playing;
+    strokeState.failTarget = null;
+    const button = document.getElementById('strokePlayButton');
+    if (button) {
+        button.innerHTML = playing ? '<i class="fas fa-pause"></i>' : '<i class="fas fa-play"></i>';
+        button.setAttribute('aria-label', playing ? 'Pause stroke animation' : 'Play stroke animation');
+    }
+    requestRender();
+}
+
+/**
+ * Finds where a point of the viewer hits the model shown there. Hits on the part of the body
+ * removed by the cutaway plane are ignored, so internal parts can be reached through the cut.
+ * @param {number} clientX - Pointer X in client coordinates.
+ * @param {number} clientY - Pointer Y in client coordinates.
+ * @returns {Object|null} The raycaster intersection (object, point, face) and the model hit, or null if there is none.
+ */
+function intersectModel(clientX, clientY) {
+    const rect = renderer.domElement.getBoundingClientRect();
+    let model = currentModel;
+    let left = rect.left;
+    let width = rect.width;
+    // In compare mode the pinned configuration fills the left half of the viewer
+    if (compareState.enabled) {
+        width = rect.width / 2;
+        if (clientX - rect.left < width) {
+            model = compareState.model;
+        } else {
+            left += width;
+        }
+    }
+    if (!model) return null;
+
+    const pointer = new THREE.Vector2(
+        ((clientX - left) / width) * 2 - 1,
+        -((clientY - rect.top) / rect.height) * 2 + 1
+    );
+    partRaycaster.setFromCamera(pointer, camera);
+    const hit = partRaycaster.intersectObject(model, true).find(({ object, point }) => {
+        const planes = object.material.clippingPlanes;
+        return !planes || planes.every(plane => plane.distanceToPoint(point) >= 0);
+    });
+    return hit ? Object.assign(hit, { model }) : null;
+}
+
+/**
+ * Finds the part of the model under a point of the viewer (see intersectModel).
+ * @param {number} clientX - Pointer X in client coordinates.
+ * @param {number} clientY - Pointer Y in client coordinates.
+ * @returns {THREE.Mesh|null} The picked part, or null if there is none.
+ */
+function pickPart(clientX, clientY) {
+    const hit = intersectModel(clientX, clientY);
+    return hit ? hit.object : null;
+}
+
+/**
+ * Highlights a part and shows its tooltip next to the pointer.
+ * @param {THREE.Mesh} mesh - The picked part (see addPart for its metadata).
+ * @param {number} clientX - Pointer X in client coordinates.
+ * @param {number} clientY - Pointer Y in client coordinates.
+ */
+function selectPart(mesh, clientX, clientY) {
+    clearPartSelection();
+    partSelection.mesh = mesh;
+    partSelection.highlight = new THREE.Mesh(mesh.geometry, new THREE.MeshBasicMaterial({
+        color: 0xff9800,
+        transparent: true,
+        opacity: 0.45,
+        depthTest: false,
+        side: THREE.DoubleSide
+    }));
+    partSelection.highlight.matrixAutoUpdate = false;
+    partSelection.highlight.renderOrder = 2;
+    updatePartHighlight();
+    let root = mesh;
+    while (root.parent) root = root.parent; // The scene of the viewport the part is shown in
+    root.add(partSelection.highlight);
+
+    const tooltip = document.getElementById('partTooltip');
+    if (!tooltip) return;
+    const part = mesh.userData.part || { label: mesh.name, description: '' };
+    const material = mesh.material.userData;
+    tooltip.innerHTML = '';
+    const title = document.createElement('strong');
+    title.textContent = part.label;
+    tooltip.appendChild(title);
+    [part.description, material.label, material.limits && `Limits: ${material.limits}`].forEach(text => {
+        if (!text) return;
+        const line = document.createElement('div');
+        line.textContent = text;
+        tooltip.appendChild(line);
+    });
+
+    const rect = document.getElementById('container3D').getBoundingClientRect();
+    tooltip.style.left = `${clientX - rect.left + 12}px`;
+    tooltip.style.top = `${clientY - rect.top + 12}px`;
+    tooltip.classList.remove('d-none');
+    requestRender();
+}
+
+/**
+ * Removes the part highlight and hides the tooltip.
+ */
+function clearPartSelection() {
+    if (partSelection.highlight) {
+        partSelection.highlight.parent.remove(partSelection.highlight);
+        partSelection.highlight.material.dispose(); // The geometry belongs to the picked part
+    }
+    partSelection.mesh = null;
+    partSelection.highlight = null;
+    const tooltip = document.getElementById('partTooltip');
+    if (tooltip) tooltip.classList.add('d-none');
+    requestRender();
+}
+
+/**
+ * Keeps the highlight on the picked part while it moves with the stroke or is cut by the cutaway plane.
+ */
+function updatePartHighlight() {
+    const { mesh, highlight } = partSelection;
+    if (!highlight) return;
+    // Called before the frame is rendered, so the stroke or pipeline orientation may not be in matrixWorld yet
+    mesh.updateWorldMatrix(true, false);
+    highlight.matrix.copy(mesh.matrixWorld);
+    highlight.matrixWorldNeedsUpdate = true;
+    if (highlight.material.clippingPlanes !== mesh.material.clippingPlanes) {
+        highlight.material.clippingPlanes = mesh.material.clippingPlanes;
+        highlight.material.needsUpdate = true;
+    }
+}
+
+// Flow overlay colour for each media data selection
+const MEDIA_FLOW_COLORS = {
+    'liquid': 0x3d8fd6,
+    'gas': 0xa9d6ef,
+    'gaseous': 0xa9d6ef,
+    'drinking water': 0x4fc3f7,
+    'steam': 0xffffff, // White
+    'abrasive products': 0x8b5a2b, // Brown slurry
+    'corrosive fluid': 0x9acd32, // Acid green
+    'cryogenic fluid': 0xb3f0ff,
+    'sea water': 0x0d5fa6, // Deep blue
+    'ammonia': 0xd6d0f5,
+    'nuclear': 0x39ff14,
+    'oil': 0x7a5a12 // Amber
+};
+const DEFAULT_FLOW_COLOR = 0x3d8fd6;
+
+// Number of particles in the flow overlay
+const FLOW_PARTICLE_COUNT = 400;
+// Particle speed in bore diameters per second for 1 bar, scaled by the square root of the
+// differential pressure (flow through an orifice is proportional to √Δp), and capped for readability
+const FLOW_SPEED_PER_SQRT_BAR = 1.2;
+const FLOW_MAX_SPEED = 8;
+// Differential pressure (bar) assumed when none is entered
+const DEFAULT_DIFFERENTIAL_PRESSURE = 1;
+
+/**
+ * Creates the particle overlay showing fluid moving along the bore of a model, from inlet (-X) to outlet (+X).
+ * The particles are in model coordinates and belong in the installation group.
+ * The particles are drawn on top of the model, so they stay visible through the closed body.
+ * @param {THREE.Object3D} model - A model built by buildValveModel.
+ * @param {Object} config - Valve configuration; uses mediaData and differentialPressure.
+ * @returns {THREE.Points}
+ */
+function createFlowParticles(model, config) {
+    const { dims } = model.userData;
+    // Through the valve between its end faces, and through the pipe run in pipeline mode
+    const halfLength = model.userData.endFace + (pipelineState.enabled ? getPipeRunLength(dims) : 0);
+    const positions = new Float32Array(FLOW_PARTICLE_COUNT * 3);
+    for (let i = 0; i < FLOW_PARTICLE_COUNT; i++) {
+        // Uniform over the bore cross-section
+        const radius = dims.boreRadius * 0.9 * Math.sqrt(Math.random());
+        const angle = Math.random() * Math.PI * 2;
+        positions[i * 3] = THREE.MathUtils.lerp(-halfLength, halfLength, Math.random());
+        positions[i * 3 + 1] = radius * Math.cos(angle);
+        positions[i * 3 + 2] = radius * Math.sin(angle);
+    }
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+
+    const material = new THREE.PointsMaterial({
+        color: MEDIA_FLOW_COLORS[config.mediaData] || DEFAULT_FLOW_COLOR,
+        size: Math.max(dims.boreRadius * 0.08, 1.5),
+        transparent: true,
+        depthTest: false
+    });
+    const particles = new THREE.Points(geometry, material);
+    particles.name = 'flow_particles';
+    particles.renderOrder = 1;
+
+    const differentialPressure = Number.isFinite(config.differentialPressure) && config.differentialPressure >= 0
+        ? config.differentialPressure
+        : DEFAULT_DIFFERENTIAL_PRESSURE;
+    const speed = Math.min(FLOW_SPEED_PER_SQRT_BAR * Math.sqrt(differentialPressure), FLOW_MAX_SPEED);
+    particles.userData = {
+        speed: speed * dims.dn, // mm/s when fully open
+        minX: -halfLength,
+        maxX: halfLength
+    };
+    return particles;
+}
+
+/**
+ * Moves the flow particles downstream. Speed is throttled by the current stroke position,
+ * so the flow stops when the valve is closed.
+ * @param {number} delta - Seconds since the previous frame.
+ */
+function advanceFlow(delta) {
+    if (!flowParticles) return;
+    const { speed, minX, maxX } = flowParticles.userData;
+    const step = speed * strokeState.position * delta;
+    const length = maxX - minX;
+    const positions = flowParticles.geometry.attributes.position;
+    for (let i = 0; i < positions.count; i++) {
+        let x = positions.getX(i) + step;
+        if (x > maxX) x -= length;
+        positions.setX(i, x);
+    }
+    positions.needsUpdate = true;
+    // Fade the particles as the valve closes
+    flowParticles.material.opacity = 0.25 + 0.75 * strokeState.position;
+}
+
+/**
+ * Shows or hides the flow overlay for the current model.
+ * @param {boolean} enabled - Whether the flow overlay is shown.
+ */
+function setFlowEnabled(enabled) {
+    flowState.enabled = enabled;
+    updateFlowParticles();
+    requestRender();
+}
+
+/**
+ * Rebuilds the flow overlay for the current model and configuration, or removes it when disabled.
+ */
+function updateFlowParticles() {
+    if (flowParticles) {
+        installation.remove(flowParticles);
+        flowParticles.geometry.dispose();
+        flowParticles.material.dispose();
+        flowParticles = null;
+    }
+    if (flowState.enabled && currentModel) {
+        flowParticles = createFlowParticles(currentModel, currentConfig);
+        advanceFlow(0);
+        installation.add(flowParticles);
+    }
+}
+
+// Physically based appearance of each body and bonnet material (MeshStandardMaterial parameters),
+// with the density in kg/m³ for the weight estimate, the marking on the nameplate and the label and
+// typical service limits shown in the part tooltips.
+// Iron bodies are delivered epoxy painted, so they get a clear coat instead of a metallic finish.
+const BODY_MATERIAL_LIBRARY = {
+    cast_iron: { color: 0x1c1c1e, metalness: 0.0, roughness: 0.45, painted: true, density: 7200, marking: 'GJL-250', label: 'Cast iron EN-GJL-250, epoxy painted', limits: '-10 to +120 °C, up to PN16' }, // Black epoxy paint (RAL 9005)
+    ductile_iron: { color: 0x1f5fa8, metalness: 0.0, roughness: 0.4, painted: true, density: 7100, marking: 'GJS-400', label: 'Ductile iron EN-GJS-400-15, epoxy painted', limits: '-10 to +300 °C, up to PN40' }, // Blue epoxy paint (RAL 5015)
+    carbon_steel: { color: 0x55595c, metalness: 0.85, roughness: 0.55, density: 7850, marking: 'WCB', label: 'Carbon steel ASTM A216 WCB / A105', limits: '-29 to +425 °C, up to Class 2500' }, // Dark, mill-finish steel
+    stainless_steel: { color: 0xc9cbcd, metalness: 1.0, roughness: 0.22, density: 8000, marking: 'CF8M', label: 'Stainless steel CF8M / 316', limits: '-196 to +550 °C, up to Class 2500' }, // Bright, fine-polished
+    stainless_steel_310: { color: 0xbdb6aa, metalness: 1.0, roughness: 0.32, density: 7900, marking: '1.4841', label: 'Heat-resistant stainless steel 310', limits: '-196 to +1000 °C, oxidising service' }, // Slightly warm heat-resistant grade
+    brass: { color: 0xd8b65c, metalness: 1.0, roughness: 0.28, density: 8470, marking: 'CW617N', label: 'Brass CW617N', limits: '-20 to +120 °C, up to PN25' },
+    bronze: { color: 0xa8683a, metalness: 1.0, roughness: 0.38, density: 8800, marking: 'CC491K', label: 'Bronze CC491K', limits: '-30 to +225 °C, up to PN25' },
+    duplex_super_duplex: { color: 0xa7b3bf, metalness: 1.0, roughness: 0.3, density: 7800, marking: '1.4462', label: 'Duplex / super duplex stainless steel', limits: '-50 to +280 °C, up to Class 2500' }, // Blue-tinted satin
+    plastic: { color: 0x7b8489, metalness: 0.0, roughness: 0.5, density: 1400, marking: 'PVC-U', label: 'PVC-U', limits: '0 to +60 °C, up to PN16 at 20 °C' } // PVC-U grey
+};
+const DEFAULT_BODY_MATERIAL = { color: 0xaaaaaa, metalness: 0.5, roughness: 0.5, density: 7850, label: 'Unspecified body material', limits: '' };
+
+// Appearance, density (kg/m³), nameplate marking, label and typical service limits of seats, liners and diaphragms for each seal surface material.
+const SEAL_MATERIAL_LIBRARY = {
+    elastomer: { color: 0x1a1a1a, metalness: 0.0, roughness: 0.8, density: 1150, marking: 'EPDM', label: 'Elastomer (EPDM)', limits: '-40 to +130 °C' }, // Black
+    ptfe: { color: 0xf2f2ec, metalness: 0.0, roughness: 0.6, density: 2200, marking: 'PTFE', label: 'PTFE', limits: '-50 to +200 °C' }, // Off-white
+    rubber_seal: { color: 0x2f2f2f, metalness: 0.0, roughness: 0.9, density: 1250, marking: 'NBR', label: 'Rubber (NBR)', limits: '-20 to +90 °C, oils and water' }, // Dark rubber gray
+    copper_alloys: { color: 0xb87333, metalness: 1.0, roughness: 0.35, density: 8800, marking: 'CuSn', label: 'Copper alloy', limits: '-50 to +225 °C' }, // Copper
+    stainless_steel_seal: { color: 0xd8d8d8, metalness: 1.0, roughness: 0.2, density: 8000, marking: '316', label: 'Stainless steel, metal seated', limits: '-196 to +550 °C' }, // Bright steel
+    stellite: { color: 0x8d99a6, metalness: 1.0, roughness: 0.15, density: 8400, marking: 'Stellite', label: 'Stellite 6 hardfacing', limits: '-196 to +650 °C, erosive service' } // Blue-gray cobalt alloy, lapped
+};
+const DEFAULT_SEAL_MATERIAL = { color: 0x222222, metalness: 0.0, roughness: 0.8, density: 1500, label: 'Unspecified seal material', limits: '' };
+
+/**
+ * Creates the material for the valve body and bonnet from the material library.
+ * @param {string} materialType - The selected body and bonnet material.
+ * @returns {THREE.MeshStandardMaterial} A MeshPhysicalMaterial with clear coat for painted bodies.
+ */
+function createBodyMaterial(materialType) {
+    const spec = BODY_MATERIAL_LIBRARY[materialType] || DEFAULT_BODY_MATERIAL;
+    const parameters = {
+        name: `body_${materialType || 'unspecified'}`,
+        color: spec.color,
+        metalness: spec.metalness,
+        roughness: spec.roughness,
+        side: THREE.DoubleSide,
+        userData: { label: spec.label, limits: spec.limits, density: spec.density }
+    };
+    if (spec.painted) {
+        return new THREE.MeshPhysicalMaterial(Object.assign(parameters, { clearcoat: 0.6, clearcoatRoughness: 0.25 }));
+    }
+    return new THREE.MeshStandardMaterial(parameters);
+}
+
+/**
+ * Creates the material for seats, liners and diaphragms from the seal material library.
+ * @param {string} sealMaterial - The selected seal surface material.
+ * @returns {THREE.MeshStandardMaterial}
+ */
+function createSealMaterial(sealMaterial) {
+    const spec = SEAL_MATERIAL_LIBRARY[sealMaterial] || DEFAULT_SEAL_MATERIAL;
+    return new THREE.MeshStandardMaterial({
+        name: `seal_${sealMaterial || 'unspecified'}`,
+        color: spec.color,
+        metalness: spec.metalness,
+        roughness: spec.roughness,
+        side: THREE.DoubleSide,
+        userData: { label: spec.label, limits: spec.limits, density: spec.density }
+    });
+}
+
+/**
+ * Generates a neutral studio environment map for reflections on metallic materials.
+ * @param {THREE.WebGLRenderer} targetRenderer - Renderer the environment map is generated for.
+ * @returns {THREE.Texture|null} Prefiltered environment map, or null if RoomEnvironment is not loaded.
+ */
+function createEnvironmentMap(targetRenderer) {
+    if (typeof THREE.RoomEnvironment === 'undefined') {
+        console.warn("RoomEnvironment is not loaded; metallic materials will render without reflections.");
+        return null;
+    }
+    const pmremGenerator = new THREE.PMREMGenerator(targetRenderer);
+    const environmentMap = pmremGenerator.fromScene(new THREE.RoomEnvironment(), 0.04).texture;
+    pmremGenerator.dispose();
+    return environmentMap;
+}
+
+// Nominal diameter (mm) used for the 3D model when the DN field is empty or unreadable.
+const DEFAULT_NOMINAL_DIAMETER = 100;
+
+// NPS (inches) to DN (mm) correspondence, used when the size is entered in inches.
+const NPS_TO_DN = [
+    [0.25, 8], [0.375, 10], [0.5, 15], [0.75, 20], [1, 25], [1.25, 32], [1.5, 40], [2, 50],
+    [2.5, 65], [3, 80], [4, 100], [5, 125], [6, 150], [8, 200], [10, 250], [12, 300],
+    [14, 350], [16, 400], [18, 450], [20, 500], [24, 600], [28, 700], [32, 800], [36, 900],
+    [40, 1000], [48, 1200]
+];
+
+/**
+ * Converts a nominal pipe size in inches to the matching DN in millimetres.
+ * @param {number} inches - Nominal pipe size (NPS).
+ * @returns {number} Nominal diameter in mm.
+ */
+function npsToDn(inches) {
+    let closest = NPS_TO_DN[0];
+    NPS_TO_DN.forEach(entry => {
+        if (Math.abs(entry[0] - inches) < Math.abs(closest[0] - inches)) {
+            closest = entry;
+        }
+    });
+    // Sizes that are not in the table are converted directly (1" ≈ 25 mm)
+    return Math.abs(closest[0] - inches) <= inches * 0.1 ? closest[1] : Math.round(inches * 25);
+}
+
+/**
+ * Parses the free-text nominal diameter field into millimetres.
+ * Accepts values such as "100", "DN100", "100 mm", "4\"", "4 in", "NPS 4", "1/2" or "1 1/2".
+ * Bare numbers are read as inches for threaded connections up to 4, otherwise as DN in mm.
+ * @param {string} rawValue - The value typed into the nominal diameter field.
+ * @param {string} connectionType - The selected connection type.
+ * @returns {number|null} Nominal diameter in mm, or null if nothing usable was entered.
+ */
+function parseNominalDiameter(rawValue, connectionType) {
+    if (!rawValue) return null;
+    const text = String(rawValue).trim().toLowerCase().replace(',', '.');
+
+    // Whole or decimal number, optionally followed by a fraction ("1 1/2", "1-1/2") or being one ("1/2")
+    const match = text.match(/(\d+(?:\.\d+)?)(?:[\s-]+(\d+)\/(\d+)|\/(\d+))?/);
+    if (!match) return null;
+
+    let value = parseFloat(match[1]);
+    if (match[4]) {
+        value = value / parseInt(match[4], 10);
+    } else if (match[2]) {
+        value += parseInt(match[2], 10) / parseInt(match[3], 10);
+    }
+    if (!isFinite(value) || value <= 0) return null;
+
+    const hasFraction = Boolean(match[2] || match[4]);
+    const isInches = hasFraction || /("|''|\d\s*in\b|inch|nps|pouce|zoll)/.test(text);
+    const isMillimetres = /(dn|mm)/.test(text);
+
+    if (isInches || (!isMillimetres && connectionType === 'threaded' && value <= 4)) {
+        return npsToDn(value);
+    }
+    return value;
+}
+
+// Face-to-face length of wafer bodies by family, where EN 558 has no length for the DN
+const WAFER_LENGTH_FACTORS = {
+    butterfly: { perDn: 0.25, base: 30 },
+    knife_gate: { perDn: 0.25, base: 40 }
+};
+
+/**
+ * Derives the main proportions of the 3D model from the nominal diameter.
+ * All values are in millimetres; the scene uses 1 unit = 1 mm.
+ * The face-to-face length and the flanges come from the standard tables in valveStandards.js
+ * where the DN is tabulated, and from proportions of the DN otherwise.
+ * @param {number} nominalDiameter - Nominal diameter in mm.
+ * @param {Object} [options] - What the standard dimensions depend on.
+ * @param {string} [options.valveFamily] - Key of VALVE_FAMILIES.
+ * @param {string} [options.connectionType] - Connection type of the ends; EN 558 lengths are for flanged valves.
+ * @param {number|null} [options.pressure] - Operating pressure in bar, for the flange rating.
+ * @returns {Object} Dimensions of the body, ends, stem and actuator, and the flange (standard and rating are
+ *     null when the flange is not tabulated). For wafer families faceToFace is the length of the body alone.
+ */
+function getValveDimensions(nominalDiameter, options = {}) {
+    const dn = Math.min(Math.max(nominalDiameter || DEFAULT_NOMINAL_DIAMETER, 6), 3000);
+    const wallThickness = Math.max(3, dn * 0.06);
+    const { valveFamily, connectionType, pressure } = options;
+
+    const waferLength = WAFER_LENGTH_FACTORS[valveFamily];
+    let faceToFace = waferLength ? waferLength.perDn * dn + waferLength.base : 1.5 * dn + 80;
+    const standardFaceToFace = getStandardFaceToFace(valveFamily, dn);
+    if (standardFaceToFace && (waferLength || connectionType === 'flanged')) {
+        faceToFace = standardFaceToFace.length;
+    }
+
+    const estimatedOuterDiameter = 1.2 * dn + 80;
+    const estimatedBoltHole = Math.max(11, 0.05 * estimatedOuterDiameter + 7);
+    const flange = getStandardFlange(dn, pressure) || {
+        standard: null,
+        rating: null,
+        outerDiameter: estimatedOuterDiameter,
+        pitchCircleDiameter: estimatedOuterDiameter - 2 * estimatedBoltHole - 4,
+        boltCount: dn <= 50 ? 4 : dn <= 150 ? 8 : dn <= 300 ? 12 : dn <= 500 ? 16 : 20,
+        boltHoleDiameter: estimatedBoltHole
+    };
+
+    return {
+        dn,
+        boreRadius: dn / 2,
+        pipeRadius: dn / 2 + wallThickness,
+        faceToFace,
+        bodyHeight: 1.3 * dn + 30,
+        bodyWidth: 1.3 * dn + 30,
+        flange,
+        flangeRadius: flange.outerDiameter / 2,
+        flangeThickness: 0.06 * dn + 12,
+        // Cast body wall: roughly the ASME B16.34 Class 150 minimum wall, thickened for the pressure
+        castWallThickness: 0.018 * dn + 5.5 + (pressure || DEFAULT_FLANGE_PRESSURE) * dn / 2760,
+        stemRadius: (0.1 * dn + 8) / 2,
+        stemLength: 0.8 * dn + 60,
+        actuatorSize: 0.6 * dn + 80
+    };
+}
+
+/**
+ * Builds a hollow cylinder (tube) along the Y axis.
+ * @param {number} outerRadius - Outside radius.
+ * @param {number} innerRadius - Inside (bore) radius.
+ * @param {number} length - Length along the Y axis.
+ * @param {number} [segments=32] - Radial segments.
+ * @returns {THREE.BufferGeometry}
+ */
+function createTubeGeometry(outerRadius, innerRadius, length, segments = 32) {
+    const half = length / 2;
+    const profile = [
+        new THREE.Vector2(innerRadius, -half),
+        new THREE.Vector2(outerRadius, -half),
+        new THREE.Vector2(outerRadius, half),
+        new THREE.Vector2(innerRadius, half),
+        new THREE.Vector2(innerRadius, -half)
+    ];
+    return new THREE.LatheGeometry(profile, segments);
+}
+
+/**
+ * Builds a rectangular body with a round bore running along the X (flow) axis.
+ * @param {number} length - Length along the flow axis.
+ * @param {number} height - Height (Y).
+ * @param {number} width - Width (Z).
+ * @param {number} boreRadius - Radius of the bore.
+ * @returns {THREE.BufferGeometry}
+ */
+function createBoredBoxGeometry(length, height, width, boreRadius) {
+    const shape = new THREE.Shape();
+    shape.moveTo(-width / 2, -height / 2);
+    shape.lineTo(width / 2, -height / 2);
+    shape.lineTo(width / 2, height / 2);
+    shape.lineTo(-width / 2, height / 2);
+    shape.lineTo(-width / 2, -height / 2);
+
+    const bore = new THREE.Path();
+    bore.absarc(0, 0, boreRadius, 0, Math.PI * 2, true);
+    shape.holes.push(bore);
+
+    const geometry = new THREE.ExtrudeGeometry(shape, { depth: length, bevelEnabled: false, curveSegments: 32 });
+    geometry.translate(0, 0, -length / 2);
+    geometry.rotateY(Math.PI / 2);
+    return geometry;
+}
+
+/**
+ * Builds a solid of revolution around the X (flow) axis from a closed profile.
+ * @param {Array<Array<number>>} profile - [radius, axialPosition] pairs, in order around the section.
+ * @param {number} [segments=32] - Radial segments.
+ * @returns {THREE.BufferGeometry}
+ */
+function createLatheAlongX(profile, segments = 32) {
+    const geometry = new THREE.LatheGeometry(profile.map(([radius, axial]) => new THREE.Vector2(radius, axial)), segments);
+    geometry.rotateZ(-Math.PI / 2); // Lathe axis Y -> flow axis X
+    return geometry;
+}
+
+/**
+ * Extrudes a 2D shape (drawn in the plane across the flow) along +X, starting at x = 0.
+ * @param {THREE.Shape} shape - The cross-section.
+ * @param {number} length - Extrusion length along the flow axis.
+ * @returns {THREE.BufferGeometry}
+ */
+function extrudeAlongX(shape, length) {
+    const geometry = new THREE.ExtrudeGeometry(shape, { depth: length, bevelEnabled: false, curveSegments: 32 });
+    geometry.rotateY(Math.PI / 2); // Extrusion axis Z -> flow axis X
+    return geometry;
+}
+
+/**
+ * Builds a closed helical thread ridge along +X, starting at x = 0, for a female thread.
+ * The triangular profile sits on the root radius with its crest pointing in towards the axis.
+ * @param {number} radius - Root radius of the thread.
+ * @param {number} pitch - Thread pitch.
+ * @param {number} length - Threaded length.
+ * @param {number} depth - Thread depth (root to crest).
+ * @returns {THREE.BufferGeometry}
+ */
+function createThreadGeometry(radius, pitch, length, depth) {
+    const halfBase = pitch * 0.4;
+    const start = halfBase;
+    const end = Math.max(length - halfBase, start + pitch);
+    const steps = Math.max(2, Math.ceil((end - start) / pitch * 24));
+    const positions = [];
+    const indices = [];
+
+    for (let i = 0; i <= steps; i++) {
+        const x = start + (end - start) * (i / steps);
+        const angle = (x / pitch) * Math.PI * 2;
+        [[x - halfBase, radius], [x + halfBase, radius], [x, radius - depth]].forEach(([axial, r]) => {
+            positions.push(axial, Math.cos(angle) * r, Math.sin(angle) * r);
+        });
+    }
+    for (let i = 0; i < steps; i++) {
+        const a = i * 3;
+        const b = a + 3;
+        for (let k = 0; k < 3; k++) {
+            const next = (k + 1) % 3;
+            indices.push(a + k, b + next, a + next, a + k, b + k, b + next);
+        }
+    }
+    // Close both ends of the ridge
+    const last = steps * 3;
+    indices.push(0, 1, 2, last, last + 2, last + 1);
+
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+    geometry.setIndex(indices);
+    geometry.computeVertexNormals();
+    return geometry;
+}
+
+/**
+ * Axial length taken up by each end connection, measured from the body to the end face.
+ * @param {string} connectionType - threaded, flanged, socket_welding or butt_welding.
+ * @param {Object} dims - Dimensions from getValveDimensions().
+ * @returns {number} Length in mm (0 when the valve has no separate ends).
+ */
+function getEndConnectionLength(connectionType, dims) {
+    switch (connectionType) {
+        case 'flanged': return dims.flangeThickness;
+        case 'threaded': return 0.45 * dims.dn + 12;
+        case 'socket_welding': return 0.35 * dims.dn + 15;
+        case 'butt_welding': return 0.5 * dims.dn + 20;
+        default: return 0;
+    }
+}
+
+/**
+ * Creates one end connection. The returned group starts at the body (x = 0) and points outward along +X;
+ * rotate it by 180° about Y for the inlet side.
+ * @param {string} connectionType - threaded, flanged, socket_welding or butt_welding.
+ * @param {Object} dims - Dimensions from getValveDimensions().
+ * @param {THREE.Material} material - Body material.
+ * @returns {THREE.Group|null} The end connection, or null for connection types without separate ends.
+ */
+function createEndConnection(connectionType, dims, material) {
+    const length = getEndConnectionLength(connectionType, dims);
+    const endGroup = new THREE.Group();
+
+    switch (connectionType) {
+        case 'flanged': {
+            // Flange disc with bolt holes on the pitch circle
+            const { boltCount, boltHoleDiameter } = dims.flange;
+            const pitchCircleRadius = dims.flange.pitchCircleDiameter / 2;
+
+            const shape = new THREE.Shape();
+            shape.absarc(0, 0, dims.flangeRadius, 0, Math.PI * 2, false);
+            const bore = new THREE.Path();
+            bore.absarc(0, 0, dims.boreRadius, 0, Math.PI * 2, true);
+            shape.holes.push(bore);
+            for (let i = 0; i < boltCount; i++) {
+                // Bolt holes straddle the vertical centre line, as on a real flange
+                const angle = (i + 0.5) * (Math.PI * 2 / boltCount);
+                const hole = new THREE.Path();
+                hole.absarc(Math.cos(angle) * pitchCircleRadius, Math.sin(angle) * pitchCircleRadius, boltHoleDiameter / 2, 0, Math.PI * 2, true);
+                shape.holes.push(hole);
+            }
+            // Shapes are not serialisable into a cache key, so the flange is keyed by its size and rating
+            addPart(endGroup, 'flange', getCachedResource(`geometry:flange@DN${dims.dn}/${dims.flange.rating || 'estimated'}`, () => extrudeAlongX(shape, length)), material);
+            break;
+        }
+
+        case 'threaded': {
+            // Hexagon hub with a female thread (BSP pitch) inside
+            const acrossFlats = dims.pipeRadius * 2.7 + 6;
+            const hex = new THREE.Shape();
+            for (let i = 0; i < 6; i++) {
+                const angle = Math.PI / 6 + i * Math.PI / 3;
+                const radius = acrossFlats / 2 / Math.cos(Math.PI / 6);
+                if (i === 0) {
+                    hex.moveTo(Math.cos(angle) * radius, Math.sin(angle) * radius);
+                } else {
+                    hex.lineTo(Math.cos(angle) * radius, Math.sin(angle) * radius);
+                }
+            }
+            hex.closePath();
+            const socket = new THREE.Path();
+            socket.absarc(0, 0, dims.pipeRadius, 0, Math.PI * 2, true);
+            hex.holes.push(socket);
+            addPart(endGroup, 'hub', getCachedResource(`geometry:hub@DN${dims.dn}`, () => extrudeAlongX(hex, length)), material);
+
+            const pitch = dims.dn <= 20 ? 1.814 : 2.309;
+            addPart(endGroup, 'thread', sharedGeometry(createThreadGeometry, dims.pipeRadius, pitch, length, pitch * 0.64), material);
+            break;
+        }
+
+        case 'socket_welding': {
+            // Socket bore takes the pipe OD, with a shoulder down to the valve bore at the bottom
+            const outerRadius = dims.pipeRadius + Math.max(4, dims.dn * 0.25);
+            const shoulder = Math.max(3, dims.dn * 0.08);
+            addPart(endGroup, 'socket', sharedGeometry(createLatheAlongX, [
+                [dims.boreRadius, 0],
+                [outerRadius, 0],
+                [outerRadius, length],
+                [dims.pipeRadius, length],
+                [dims.pipeRadius, shoulder],
+                [dims.boreRadius, shoulder],
+                [dims.boreRadius, 0]
+            ]), material);
+            break;
+        }
+
+        case 'butt_welding': {
+            // Pipe stub with a 37.5° weld bevel and 1.6 mm root face
+            const wall = dims.pipeRadius - dims.boreRadius;
+            const rootFace = Math.min(1.6, wall / 2);
+            const bevelLength = (wall - rootFace) * Math.tan(THREE.MathUtils.degToRad(37.5));
+            addPart(endGroup, 'weld_end', sharedGeometry(createLatheAlongX, [
+                [dims.boreRadius, 0],
+                [dims.pipeRadius, 0],
+                [dims.pipeRadius, length - bevelLength],
+                [dims.boreRadius + rootFace, length],
+                [dims.boreRadius, length],
+                [dims.boreRadius, 0]
+            ]), material);
+            break;
+        }
+
+        default:
+            return null;
+    }
+
+    return endGroup;
+}
+
+/**
+ * Adds inlet and outlet end connections on both sides of the body.
+ * @param {THREE.Group} valveGroup - The group the ends are added to.
+ * @param {string} connectionType - threaded, flanged, socket_welding or butt_welding.
+ * @param {Object} dims - Dimensions from getValveDimensions().
+ * @param {THREE.Material} material - Body material.
+ * @param {number} bodyHalfLength - Distance from the valve centre to where the ends start.
+ */
+function addEndConnections(valveGroup, connectionType, dims, material, bodyHalfLength) {
+    const endNames = {
+        flanged: 'flange', threaded: 'threaded_end', socket_welding: 'socket', butt_welding: 'weld_end'
+    };
+
+    // Where the valve meets the pipe, for the pipeline mode and the flow overlay
+    valveGroup.userData.endFace = bodyHalfLength + getEndConnectionLength(connectionType, dims);
+    valveGroup.userData.connectionType = connectionType;
+
+    ['inlet', 'outlet'].forEach(side => {
+        const end = createEndConnection(connectionType, dims, material);
+        if (!end) return;
+        end.name = `${endNames[connectionType]}_${side}`;
+        if (side === 'inlet') {
+            end.position.x = -bodyHalfLength;
+            end.rotation.y = Math.PI;
+        } else {
+            end.position.x = bodyHalfLength;
+        }
+        valveGroup.add(end);
+    });
+}
+
+// Label and short description of each generated part, shown in the tooltip when the part is picked
+const PART_INFO = {
+    body: { label: 'Body', description: 'Pressure-retaining shell carrying the flow.' },
+    bonnet: { label: 'Bonnet', description: 'Closes the body and guides the stem.' },
+    neck: { label: 'Neck', description: 'Extends the stem above the body for the actuator.' },
+    yoke: { label: 'Yoke', description: 'Frame carrying the actuator above the packing.' },
+    gate: { label: 'Wedge', description: 'Lifts clear of the bore to open the gate valve.' },
+    blade: { label: 'Knife blade', description: 'Cuts through the media to close the bore.' },
+    ball: { label: 'Ball', description: 'Bored ball turning a quarter turn.' },
+    disc: { label: 'Disc', description: 'Turns a quarter turn across the flow.' },
+    plug: { label: 'Plug', description: 'Throttles the flow against the seat.' },
+    diaphragm: { label: 'Diaphragm', description: 'Flexible membrane isolating the actuator from the media.' },
+    needle: { label: 'Needle', description: 'Tapered tip for fine flow adjustment.' },
+    weir: { label: 'Weir', description: 'Ridge the diaphragm seals against.' },
+    seat: { label: 'Seat', description: 'Sealing surface of the closure member.' },
+    seat_inlet: { label: 'Inlet seat', description: 'Upstream sealing surface.' },
+    seat_outlet: { label: 'Outlet seat', description: 'Downstream sealing surface.' },
+    stem: { label: 'Stem', description: 'Transmits the actuator force or torque to the closure member.' },
+    packing: { label: 'Stem packing', description: 'Seals the stem against the atmosphere.' },
+    handwheel: { label: 'Handwheel', description: 'Manual operator for multi-turn valves.' },
+    lever: { label: 'Lever', description: 'Manual operator for quarter-turn valves.' },
+    worm_gearbox: { label: 'Worm gearbox', description: 'Self-locking reduction for quarter-turn valves too large for a lever.' },
+    bevel_gearbox: { label: 'Bevel gearbox', description: 'Reduces the rim pull on large multi-turn valves.' },
+    input_shaft: { label: 'Input shaft', description: 'Drives the gearbox from the handwheel.' },
+    gearbox_handwheel: { label: 'Handwheel', description: 'Operates the valve through the gearbox.' },
+    electric_actuator: { label: 'Electric actuator', description: 'Gearbox and limit switches.' },
+    electric_motor: { label: 'Electric motor', description: 'Drives the actuator gearbox.' },
+    pneumatic_cylinder: { label: 'Pneumatic cylinder', description: 'Air-operated piston or diaphragm actuator.' },
+    pneumatic_cap: { label: 'Cylinder cap', description: 'End cap of the pneumatic cylinder.' },
+    control_unit: { label: 'Control unit', description: 'Positions the actuator from a 4-20 mA setpoint.' },
+    display: { label: 'Local display', description: 'Shows the valve position and actuator status.' },
+    fail_safe_unit: { label: 'Fail-safe unit', description: 'Drives the valve to its fail position when the power fails.' },
+    spring_housing: { label: 'Spring pack', description: 'Drives the valve to its fail position when the air fails.' },
+    fail_band: { label: 'Fail position band', description: 'Red: fails closed. Yellow: fails open.' },
+    air_port: { label: 'Air port', description: 'Supply air connection of a cylinder chamber.' },
+    positioner: { label: 'Positioner', description: 'Sets the actuator to the position demanded by the control signal.' },
+    gauge: { label: 'Pressure gauge', description: 'Shows the supply and output air pressure of the positioner.' },
+    limit_switch_box: { label: 'Limit switch box', description: 'Signals the open and closed end positions.' },
+    position_indicator: { label: 'Position indicator', description: 'Shows the valve position at a glance.' },
+    solenoid_valve: { label: 'Solenoid valve', description: 'Switches the supply air to the cylinder.' },
+    solenoid_coil: { label: 'Solenoid coil', description: 'Operates the solenoid valve.' },
+    override_handwheel: { label: 'Manual override', description: 'Operates the valve by hand when the power or air fails.' },
+    override_shaft: { label: 'Override shaft', description: 'Declutchable drive from the override handwheel.' },
+    flange: { label: 'Flange', description: 'Bolted end connection.' },
+    hub: { label: 'Threaded hub', description: 'Hexagon for the wrench when screwing the valve in.' },
+    thread: { label: 'Thread', description: 'Parallel (straight) female pipe thread, BSP pitch.' },
+    socket: { label: 'Socket', description: 'Socket weld end receiving the pipe.' },
+    weld_end: { label: 'Butt weld end', description: 'Bevelled end welded to the pipe.' },
+    nameplate: { label: 'Nameplate', description: 'Size, pressure rating, materials and approvals of the valve.' }
+};
+
+// Service limits of actuator housings
+// apparentDensity (kg/m³) is the mass of an actuator, operator or accessory over the volume it is drawn with
+// (see estimateWeightAndEnvelope): below the density of the metal for hollow housings, above it for handwheels,
+// whose spokes and hub are not drawn. Electric actuators are dense with motor and gearing.
+const ACTUATOR_HOUSING_INFO = {
+    electric: { label: 'Aluminium housing, IP67', limits: 'Ambient -20 to +70 °C', apparentDensity: 4500 },
+    pneumatic: { label: 'Anodised aluminium cylinder', limits: 'Supply 3 to 8 bar, ambient -20 to +80 °C', apparentDensity: 2000 }
+};
+
+// Variant drawn when a powered actuator has none selected
+const DEFAULT_ACTUATOR_VARIANTS = { electric: 'on_off', pneumatic: 'double_acting' };
+
+// Fail-safe positions: the stroke position the valve goes to when the air or power fails (null: it stays
+// where it is), the colour marking it on the actuator, and the pneumatic variant providing it
+const FAIL_SAFE_POSITIONS = {
+    fail_close: { label: 'Fails closed', stroke: 0, color: 0xc62828, pneumaticVariant: 'spring_return_fail_close' },
+    fail_open: { label: 'Fails open', stroke: 1, color: 0xf9a825, pneumaticVariant: 'spring_return_fail_open' },
+    fail_last: { label: 'Fails last', stroke: null, color: null, pneumaticVariant: 'double_acting' }
+};
+
+// Single-acting pneumatic actuators: where the springs drive the valve when the air fails
+const SPRING_RETURN_VARIANTS = {
+    spring_return_fail_close: { failSafePosition: 'fail_close', label: 'Spring return, fails closed', limits: 'Closes on loss of supply air' },
+    spring_return_fail_open: { failSafePosition: 'fail_open', label: 'Spring return, fails open', limits: 'Opens on loss of supply air' }
+};
+
+/**
+ * Returns the cached geometry or material for a key, creating it on first use.
+ * The resource is counted as used once it is added to a model with addPart.
+ * @param {string} key - Identifies everything the resource is built from.
+ * @param {Function} create - Builds the resource when it is not cached yet; may return null if it cannot.
+ * @returns {THREE.BufferGeometry|THREE.Material|null}
+ */
+function getCachedResource(key, create) {
+    let entry = resourceCache.get(key);
+    if (!entry) {
+        const resource = create();
+        if (!resource) return null;
+        entry = { resource, refs: 0 };
+        resourceCache.set(key, entry);
+        resourceKeys.set(entry.resource, key);
+    }
+    return entry.resource;
+}
+
+/**
+ * Returns a cached geometry built by a THREE geometry class or a create*Geometry helper.
+ * @param {Function} factory - Geometry class or helper function.
+ * @param {...*} args - Arguments for the factory; numbers, arrays and vectors only.
+ * @returns {THREE.BufferGeometry}
+ */
+function sharedGeometry(factory, ...args) {
+    // Numbered per factory rather than named, as the minified build shortens class names
+    if (!geometryFactoryIds.has(factory)) geometryFactoryIds.set(factory, geometryFactoryIds.size);
+    const key = `geometry:${geometryFactoryIds.get(factory)}:${JSON.stringify(args)}`;
+    return getCachedResource(key, () => (factory.prototype && factory.prototype.isBufferGeometry ? new factory(...args) : factory(...args)));
+}
+
+/**
+ * Counts one more mesh using a cached resource. Resources that are not cached are ignored.
+ * @param {THREE.BufferGeometry|THREE.Material} resource
+ */
+function retainResource(resource) {
+    const entry = resourceCache.get(resourceKeys.get(resource));
+    if (entry) entry.refs++;
+}
+
+/**
+ * Counts one mesh less using a resource. Unused cached resources are kept for the next model
+ * (see sweepResourceCache); resources that are not cached are disposed right away.
+ * @param {THREE.BufferGeometry|THREE.Material} resource
+ */
+function releaseResource(resource) {
+    const entry = resourceCache.get(resourceKeys.get(resource));
+    if (entry) {
+        entry.refs = Math.max(0, entry.refs - 1);
+    } else {
+        resource.dispose();
+    }
+}
+
+/**
+ * Disposes the cached resources that no model uses any more.
+ */
+function sweepResourceCache() {
+    resourceCache.forEach((entry, key) => {
+        if (entry.refs === 0) {
+            entry.resource.dispose();
+            resourceCache.delete(key);
+        }
+    });
+}
+
+/**
+ * Creates a named mesh and adds it to the group.
+ * @param {THREE.Object3D} parent - The group the part is added to.
+ * @param {string} name - Part name (body, bonnet, stem, seat...).
+ * @param {THREE.BufferGeometry} geometry - Part geometry.
+ * @param {THREE.Material} material - Part material.
+ * @returns {THREE.Mesh} The new mesh, for positioning.
+ */
+function addPart(parent, name, geometry, material) {
+    const mesh = new THREE.Mesh(geometry, material);
+    retainResource(geometry);
+    retainResource(material);
+    mesh.name = name;
+    mesh.userData.part = PART_INFO[name] || { label: name, description: '' };
+    parent.add(mesh);
+    return mesh;
+}
+
+/**
+ * Adds the electric or pneumatic actuator on top of the stem, with its accessories.
+ * @param {THREE.Group} valveGroup - The group the actuator is added to.
+ * @param {Object} actuator - The selected actuator.
+ * @param {string} actuator.type - Actuation type (electric, pneumatic).
+ * @param {string} [actuator.variant] - Variant of a powered actuator (see DEFAULT_ACTUATOR_VARIANTS).
+ * @param {Array<string>} [actuator.accessories] - Accessories of a powered actuator (positioner, limit_switch_box, solenoid_valve, manual_override).
+ * @param {string} [actuator.failSafePosition] - Key of FAIL_SAFE_POSITIONS; decides the variant of a pneumatic actuator.
+ * @param {Object} dims - Dimensions from getValveDimensions().
+ * @param {number} mountHeight - Height (Y) of the actuator mounting face.
+ */
+function addActuator(valveGroup, actuator, dims, mountHeight) {
+    const size = dims.actuatorSize;
+    const failSafe = FAIL_SAFE_POSITIONS[actuator.failSafePosition];
+    let housing = null;
+
+    if (actuator.type === 'electric') {
+        housing = addElectricActuator(valveGroup, actuator.variant || DEFAULT_ACTUATOR_VARIANTS.electric, actuator.failSafePosition, size, mountHeight);
+        // Without a fail-safe unit the motor stops where it is when the power fails
+        valveGroup.userData.failSafePosition = failSafe ? actuator.failSafePosition : 'fail_last';
+    } else if (actuator.type === 'pneumatic') {
+        const variant = failSafe ? failSafe.pneumaticVariant : actuator.variant || DEFAULT_ACTUATOR_VARIANTS.pneumatic;
+        housing = addPneumaticActuator(valveGroup, variant, size, mountHeight);
+        // A double-acting cylinder holds its position when the air fails
+        const springReturn = SPRING_RETURN_VARIANTS[variant];
+        valveGroup.userData.failSafePosition = springReturn ? springReturn.failSafePosition : 'fail_last';
+    }
+
+    if (housing) {
+        addActuatorAccessories(valveGroup, actuator, housing, size);
+    }
+}
+
+/**
+ * Returns the shared material of handwheels, including manual overrides.
+ * @returns {THREE.MeshStandardMaterial}
+ */
+function getHandwheelMaterial() {
+    return getCachedResource('material:handwheel', () => new THREE.MeshStandardMaterial({ name: 'handwheel', color: 0x666666, metalness: 0.6, roughness: 0.5, userData: { label: 'Cast iron, painted', limits: 'Rim pull max. 360 N (EN 12570)', apparentDensity: 18000 } }));
+}
+
+/**
+ * Returns the shared material of position indicators on switch boxes and gearboxes.
+ * @returns {THREE.MeshStandardMaterial}
+ */
+function getPositionIndicatorMaterial() {
+    return getCachedResource('material:position_indicator', () => new THREE.MeshStandardMaterial({ name: 'position_indicator', color: 0xffc107, metalness: 0.0, roughness: 0.5, userData: { label: 'Polycarbonate dome', limits: 'Ambient -20 to +80 °C' } }));
+}
+
+/**
+ * Adds an electric actuator: gearbox housing with the motor on top, the control unit of a modulating actuator,
+ * and at the back the fail-safe unit of a fail-close or fail-open actuator.
+ * @param {THREE.Group} valveGroup - The group the actuator is added to.
+ * @param {string} variant - on_off or modulating.
+ * @param {string} [failSafePosition] - Key of FAIL_SAFE_POSITIONS.
+ * @param {number} size - Actuator size from the valve dimensions.
+ * @param {number} mountHeight - Height (Y) of the actuator mounting face.
+ * @returns {Object} Outline of the housing for the accessories: top, middle and halfWidth.
+ */
+function addElectricActuator(valveGroup, variant, failSafePosition, size, mountHeight) {
+    const housingMaterial = getCachedResource('material:electric_actuator_housing', () => new THREE.MeshStandardMaterial({ name: 'electric_actuator_housing', color: 0x8b0000, metalness: 0.1, roughness: 0.45, userData: ACTUATOR_HOUSING_INFO.electric })); // Dark Red
+    const electricBase = addPart(valveGroup, 'electric_actuator', sharedGeometry(THREE.BoxGeometry, size, size / 2, size), housingMaterial);
+    electricBase.position.y = mountHeight + size / 4;
+
+    const electricTopGeometry = sharedGeometry(THREE.CylinderGeometry, size * 0.375, size * 0.375, size * 0.625, 16);
+    const electricTop = addPart(valveGroup, 'electric_motor', electricTopGeometry, getCachedResource('material:electric_motor_housing', () => new THREE.MeshStandardMaterial({ name: 'electric_motor_housing', color: 0x4b0000, metalness: 0.1, roughness: 0.45, userData: ACTUATOR_HOUSING_INFO.electric }))); // Even darker red
+    electricTop.position.y = mountHeight + size / 2 + size * 0.3;
+
+    if (variant === 'modulating') {
+        // Control electronics in front of the gearbox, with the local display facing the viewer
+        const controlUnit = addPart(valveGroup, 'control_unit', sharedGeometry(THREE.BoxGeometry, size * 0.6, size * 0.35, size * 0.2), housingMaterial);
+        controlUnit.position.set(0, mountHeight + size / 4, size * 0.6);
+        const display = addPart(valveGroup, 'display', sharedGeometry(THREE.BoxGeometry, size * 0.3, size * 0.15, size * 0.01), getCachedResource('material:display', () => new THREE.MeshStandardMaterial({ name: 'display', color: 0x263238, emissive: 0x0d3b2e, metalness: 0.0, roughness: 0.2, userData: { label: 'LC display', limits: 'Ambient -20 to +70 °C' } })));
+        display.position.set(0, mountHeight + size / 4, size * 0.705);
+    }
+
+    const failSafe = FAIL_SAFE_POSITIONS[failSafePosition];
+    if (failSafe && failSafe.stroke !== null) {
+        // Supercapacitor module storing the energy for the run to the fail position
+        const unit = addPart(valveGroup, 'fail_safe_unit', sharedGeometry(THREE.BoxGeometry, size * 0.6, size * 0.35, size * 0.25), getCachedResource('material:fail_safe_unit', () => new THREE.MeshStandardMaterial({ name: 'fail_safe_unit', color: 0x37474f, metalness: 0.2, roughness: 0.5, userData: { label: 'Supercapacitor module, IP67', limits: 'Ambient -20 to +60 °C', apparentDensity: 1500 } })));
+        unit.position.set(0, mountHeight + size / 4, -size * 0.625);
+        const band = addPart(valveGroup, 'fail_band', sharedGeometry(THREE.BoxGeometry, size * 0.62, size * 0.06, size * 0.27), getCachedResource(`material:${failSafePosition}`, () => new THREE.MeshStandardMaterial({ name: failSafePosition, color: failSafe.color, metalness: 0.1, roughness: 0.6, userData: { label: failSafe.label, limits: 'Runs to the fail position on loss of power' } })));
+        band.position.set(0, mountHeight + size / 4, -size * 0.625);
+    }
+
+    return { top: mountHeight + size * 1.1125, middle: mountHeight + size / 4, halfWidth: size / 2 };
+}
+
+/**
+ * Adds a pneumatic actuator: a double-acting cylinder with two air ports, or a single-acting cylinder
+ * with a spring pack on top and a band marking its fail position.
+ * @param {THREE.Group} valveGroup - The group the actuator is added to.
+ * @param {string} variant - double_acting, spring_return_fail_close or spring_return_fail_open.
+ * @param {number} size - Actuator size from the valve dimensions.
+ * @param {number} mountHeight - Height (Y) of the actuator mounting face.
+ * @returns {Object} Outline of the housing for the accessories: top, middle, halfWidth and the height of the air ports.
+ */
+function addPneumaticActuator(valveGroup, variant, size, mountHeight) {
+    const springReturn = SPRING_RETURN_VARIANTS[variant];
+    const cylinderMaterial = getCachedResource('material:pneumatic_cylinder', () => new THREE.MeshStandardMaterial({ name: 'pneumatic_cylinder', color: 0x008000, metalness: 0.1, roughness: 0.45, userData: ACTUATOR_HOUSING_INFO.pneumatic })); // Dark Green
+    const capMaterial = getCachedResource('material:pneumatic_cap', () => new THREE.MeshStandardMaterial({ name: 'pneumatic_cap', color: 0x006400, metalness: 0.1, roughness: 0.45, userData: ACTUATOR_HOUSING_INFO.pneumatic })); // Even darker green
+
+    const pneumaticCylinder = addPart(valveGroup, 'pneumatic_cylinder', sharedGeometry(THREE.CylinderGeometry, size * 0.75, size * 0.75, size, 32), cylinderMaterial);
+    pneumaticCylinder.position.y = mountHeight + size / 2;
+    let capHeight = mountHeight + size;
+
+    if (springReturn) {
+        const springHeight = size * 0.6;
+        const springHousing = addPart(valveGroup, 'spring_housing', sharedGeometry(THREE.CylinderGeometry, size * 0.75, size * 0.75, springHeight, 32), capMaterial);
+        springHousing.position.y = capHeight + springHeight / 2;
+        const band = addPart(valveGroup, 'fail_band', sharedGeometry(THREE.TorusGeometry, size * 0.76, size * 0.03, 8, 48), getCachedResource(`material:${variant}`, () => new THREE.MeshStandardMaterial({ name: variant, color: FAIL_SAFE_POSITIONS[springReturn.failSafePosition].color, metalness: 0.1, roughness: 0.6, userData: { label: springReturn.label, limits: springReturn.limits } })));
+        band.position.y = capHeight + springHeight / 2;
+        band.rotation.x = Math.PI / 2;
+        capHeight += springHeight;
+    }
+
+    const pneumaticCapGeometry = sharedGeometry(THREE.CylinderGeometry, size * 0.8125, size * 0.8125, size * 0.125, 32);
+    const pneumaticCap = addPart(valveGroup, 'pneumatic_cap', pneumaticCapGeometry, capMaterial);
+    pneumaticCap.position.y = capHeight + size * 0.0625;
+
+    // Double-acting cylinders take air on both sides of the piston, single-acting ones below it only
+    const portHeights = springReturn ? [mountHeight + size * 0.2] : [mountHeight + size * 0.2, mountHeight + size * 0.8];
+    portHeights.forEach((height) => {
+        const port = addPart(valveGroup, 'air_port', sharedGeometry(THREE.CylinderGeometry, size * 0.05, size * 0.05, size * 0.15, 12), capMaterial);
+        port.position.set(0, height, size * 0.8);
+        port.rotation.x = Math.PI / 2;
+    });
+
+    return { top: capHeight + size * 0.125, middle: mountHeight + size / 2, halfWidth: size * 0.8125, portHeight: portHeights[portHeights.length - 1] };
+}
+
+/**
+ * Adds the accessories of a powered actuator around its housing: the positioner on the right,
+ * the manual override on the left, the limit switch box on top and the solenoid valve on the air port.
+ * @param {THREE.Group} valveGroup - The group the accessories are added to.
+ * @param {Object} actuator - The selected actuator (see addActuator).
+ * @param {Object} housing - Outline of the actuator housing.
+ * @param {number} size - Actuator size from the valve dimensions.
+ */
+function addActuatorAccessories(valveGroup, actuator, housing, size) {
+    const accessories = actuator.accessories || [];
+    const accessoryMaterial = getCachedResource('material:accessory_housing', () => new THREE.MeshStandardMaterial({ name: 'accessory_housing', color: 0xb0b5b9, metalness: 0.5, roughness: 0.4, userData: { label: 'Die-cast aluminium, IP66', limits: 'Ambient -20 to +80 °C', apparentDensity: 1500 } }));
+
+    if (accessories.includes('positioner')) {
+        const positioner = addPart(valveGroup, 'positioner', sharedGeometry(THREE.BoxGeometry, size * 0.35, size * 0.5, size * 0.4), accessoryMaterial);
+        positioner.position.set(housing.halfWidth + size * 0.175, housing.middle, 0);
+        // Pneumatic positioners show the supply and output air pressure
+        const gaugeSides = actuator.type === 'pneumatic' ? [-1, 1] : [];
+        gaugeSides.forEach((side) => {
+            const gauge = addPart(valveGroup, 'gauge', sharedGeometry(THREE.CylinderGeometry, size * 0.06, size * 0.06, size * 0.03, 24), accessoryMaterial);
+            gauge.position.set(housing.halfWidth + size * 0.175, housing.middle + side * size * 0.12, size * 0.215);
+            gauge.rotation.x = Math.PI / 2;
+        });
+    }
+
+    if (accessories.includes('limit_switch_box')) {
+        const switchBox = addPart(valveGroup, 'limit_switch_box', sharedGeometry(THREE.BoxGeometry, size * 0.45, size * 0.3, size * 0.45), accessoryMaterial);
+        switchBox.position.y = housing.top + size * 0.15;
+        // The pointer turns a quarter turn with the stroke, as on the shaft of the switch box
+        const indicator = addPart(valveGroup, 'position_indicator', sharedGeometry(THREE.BoxGeometry, size * 0.3, size * 0.06, size * 0.08), getPositionIndicatorMaterial());
+        indicator.position.y = housing.top + size * 0.33;
+        addStrokeMotion(valveGroup, indicator, 'rotation', 'y', Math.PI / 2);
+    }
+
+    if (accessories.includes('solenoid_valve') && actuator.type === 'pneumatic') {
+        const solenoid = addPart(valveGroup, 'solenoid_valve', sharedGeometry(THREE.BoxGeometry, size * 0.2, size * 0.2, size * 0.2), accessoryMaterial);
+        solenoid.position.set(0, housing.portHeight, size * 0.975);
+        const coil = addPart(valveGroup, 'solenoid_coil', sharedGeometry(THREE.CylinderGeometry, size * 0.08, size * 0.08, size * 0.2, 16), getCachedResource('material:solenoid_coil', () => new THREE.MeshStandardMaterial({ name: 'solenoid_coil', color: 0x202020, metalness: 0.1, roughness: 0.7, userData: { label: 'Encapsulated coil, 24 V DC', limits: 'Ambient -20 to +60 °C', apparentDensity: 4000 } })));
+        coil.position.set(0, housing.portHeight + size * 0.2, size * 0.975);
+    }
+
+    if (accessories.includes('manual_override')) {
+        const handwheel = addPart(valveGroup, 'override_handwheel', sharedGeometry(THREE.TorusGeometry, size * 0.3, size * 0.04, 12, 32), getHandwheelMaterial());
+        handwheel.position.set(-(housing.halfWidth + size * 0.2), housing.middle, 0);
+        handwheel.rotation.y = Math.PI / 2;
+        const shaft = addPart(valveGroup, 'override_shaft', sharedGeometry(THREE.CylinderGeometry, size * 0.04, size * 0.04, size * 0.2, 12), getHandwheelMaterial());
+        shaft.position.set(-(housing.halfWidth + size * 0.1), housing.middle, 0);
+        shaft.rotation.z = Math.PI / 2;
+    }
+}
+
+/**
+ * Adds the manual operator on top of the stem.
+ * @param {THREE.Group} valveGroup - The group the operator is added to.
+ * @param {string} manualOperator - Key of MANUAL_OPERATORS (see selectManualOperator).
+ * @param {Object} dims - Dimensions from getValveDimensions().
+ * @param {number} mountHeight - Height (Y) of the stem top.
+ */
+function addManualOperator(valveGroup, manualOperator, dims, mountHeight) {
+    if (manualOperator === 'lever') {
+        addLever(valveGroup, dims, mountHeight);
+    } else if (manualOperator === 'handwheel') {
+        const size = dims.actuatorSize;
+        const handwheelGeometry = sharedGeometry(THREE.TorusGeometry, size / 2, size * 0.06, 16, 32);
+        const handwheelMesh = addPart(valveGroup, 'handwheel', handwheelGeometry, getHandwheelMaterial());
+        handwheelMesh.position.y = mountHeight;
+        handwheelMesh.rotation.x = Math.PI / 2;
+    } else {
+        addGearbox(valveGroup, manualOperator, dims, mountHeight);
+    }
+}
+
+/**
+ * Adds a gearbox on top of the stem, with its handwheel on a horizontal input shaft pointing along the flow.
+ * A worm gearbox is a flat housing with a pointer turning a quarter turn with the stroke; a bevel gearbox
+ * is a round housing with the bevel gear casing on the side.
+ * @param {THREE.Group} valveGroup - The group the gearbox is added to.
+ * @param {string} gearbox - worm_gearbox or bevel_gearbox.
+ * @param {Object} dims - Dimensions from getValveDimensions().
+ * @param {number} mountHeight - Height (Y) of the stem top.
+ */
+function addGearbox(valveGroup, gearbox, dims, mountHeight) {
+    const size = dims.actuatorSize;
+    const material = getCachedResource('material:gearbox', () => new THREE.MeshStandardMaterial({ name: 'gearbox', color: 0x455a64, metalness: 0.3, roughness: 0.6, userData: { label: 'Cast iron, epoxy painted', limits: 'IP67, ambient -20 to +80 °C', apparentDensity: 6000 } }));
+    const middle = mountHeight + size * 0.2;
+    let inputStart;
+
+    if (gearbox === 'worm_gearbox') {
+        const housing = addPart(valveGroup, 'worm_gearbox', sharedGeometry(THREE.BoxGeometry, size * 0.5, size * 0.4, size * 0.6), material);
+        housing.position.y = middle;
+        // The worm runs across the housing, under a boss on the side
+        const worm = addPart(valveGroup, 'worm_gearbox', sharedGeometry(THREE.CylinderGeometry, size * 0.12, size * 0.12, size * 0.2, 24), material);
+        worm.position.set(size * 0.35, middle, 0);
+        worm.rotation.z = Math.PI / 2;
+        inputStart = size * 0.45;
+
+        const indicator = addPart(valveGroup, 'position_indicator', sharedGeometry(THREE.BoxGeometry, size * 0.3, size * 0.06, size * 0.08), getPositionIndicatorMaterial());
+        indicator.position.y = mountHeight + size * 0.43;
+        indicator.rotation.y = Math.PI / 2;
+        addStrokeMotion(valveGroup, indicator, 'rotation', 'y', -Math.PI / 2);
+    } else {
+        const housing = addPart(valveGroup, 'bevel_gearbox', sharedGeometry(THREE.CylinderGeometry, size * 0.3, size * 0.3, size * 0.4, 32), material);
+        housing.position.y = middle;
+        const bevelCasing = addPart(valveGroup, 'bevel_gearbox', sharedGeometry(THREE.CylinderGeometry, size * 0.08, size * 0.16, size * 0.2, 24), material);
+        bevelCasing.position.set(size * 0.4, middle, 0);
+        bevelCasing.rotation.z = Math.PI / 2;
+        inputStart = size * 0.5;
+    }
+
+    const shaftLength = size * 0.25;
+    const shaft = addPart(valveGroup, 'input_shaft', sharedGeometry(THREE.CylinderGeometry, size * 0.035, size * 0.035, shaftLength, 12), getHandwheelMaterial());
+    shaft.position.set(inputStart + shaftLength / 2, middle, 0);
+    shaft.rotation.z = Math.PI / 2;
+    const handwheel = addPart(valveGroup, 'gearbox_handwheel', sharedGeometry(THREE.TorusGeometry, size * 0.3, size * 0.04, 12, 32), getHandwheelMaterial());
+    handwheel.position.set(inputStart + shaftLength, middle, 0);
+    handwheel.rotation.y = Math.PI / 2;
+}
+
+/**
+ * Adds a hand lever on top of a quarter-turn stem, pointing along the flow when open.
+ * @param {THREE.Group} valveGroup - The group the lever is added to.
+ * @param {Object} dims - Dimensions from getValveDimensions().
+ * @param {number} mountHeight - Height (Y) of the stem top.
+ */
+function addLever(valveGroup, dims, mountHeight) {
+    const size = dims.actuatorSize;
+    const leverGeometry = getCachedResource(`geometry:lever@DN${dims.dn}`, () => {
+        const geometry = new THREE.BoxGeometry(size * 1.5, size * 0.08, size * 0.12);
+        geometry.translate(size * 0.65, 0, 0); // Pivot sits near one end of the lever
+        return geometry;
+    });
+    const leverMesh = addPart(valveGroup, 'lever', leverGeometry, getCachedResource('material:lever', () => new THREE.MeshStandardMaterial({ name: 'lever', color: 0x666666, metalness: 0.6, roughness: 0.5, userData: { label: 'Carbon steel, zinc plated', limits: 'Hand force max. 360 N (EN 12570)', apparentDensity: 7850 } })));
+    leverMesh.position.y = mountHeight + size * 0.04;
+
+    // Across the pipe when closed, along it when open
+    leverMesh.rotation.y = Math.PI / 2;
+    addStrokeMotion(valveGroup, leverMesh, 'rotation', 'y', -Math.PI / 2);
+}
+
+/**
+ * Adds a stem running vertically between two heights.
+ * @param {THREE.Group} valveGroup - The group the stem is added to.
+ * @param {Object} dims - Dimensions from getValveDimensions().
+ * @param {THREE.Material} material - Stem material.
+ * @param {number} bottom - Height (Y) of the stem bottom.
+ * @param {number} top - Height (Y) of the stem top.
+ * @returns {THREE.Mesh} The stem mesh.
+ */
+function addStem(valveGroup, dims, material, bottom, top) {
+    const stemGeometry = sharedGeometry(THREE.CylinderGeometry, dims.stemRadius, dims.stemRadius, top - bottom, 16);
+    const stemMesh = addPart(valveGroup, 'stem', stemGeometry, material);
+    stemMesh.position.y = (bottom + top) / 2;
+    return stemMesh;
+}
+
+/**
+ * Registers a part that moves with the valve stroke. The part's current transform is its closed position;
+ * at full stroke the given transform component has changed by `travel`.
+ * @param {THREE.Group} valveGroup - The valve model (its userData.strokeMotions collects the motions).
+ * @param {THREE.Object3D} object - The moving part.
+ * @param {string} property - 'position', 'rotation' or 'scale'.
+ * @param {string} axis - 'x', 'y' or 'z'.
+ * @param {number} travel - Change from closed to fully open (mm, radians or scale factor).
+ */
+function addStrokeMotion(valveGroup, object, property, axis, travel) {
+    valveGroup.userData.strokeMotions.push({ object, property, axis, closed: object[property][axis], travel });
+}
+
+/**
+ * Moves every stroke-driven part of a model to the given opening.
+ * @param {THREE.Object3D} model - A model built by buildValveModel.
+ * @param {number} position - 0 = closed, 1 = fully open.
+ */
+function applyStrokePosition(model, position) {
+    (model.userData.strokeMotions || []).forEach(motion => {
+        motion.object[motion.property][motion.axis] = motion.closed + motion.travel * position;
+    });
+}
+
+/**
+ * Adds the stem packing in the stuffing box just below the top of the bonnet.
+ * @param {THREE.Group} valveGroup - The group the packing is added to.
+ * @param {Object} dims - Dimensions from getValveDimensions().
+ * @param {THREE.Material} material - Packing material.
+ * @param {number} height - Height (Y) of the top of the bonnet.
+ */
+function addPacking(valveGroup, dims, material, height) {
+    const packingHeight = 0.1 * dims.dn + 10;
+    const packing = addPart(valveGroup, 'packing', sharedGeometry(createTubeGeometry, dims.stemRadius * 2, dims.stemRadius, packingHeight), material);
+    packing.position.y = height - packingHeight / 2;
+}
+
+/**
+ * Half-length of the body between the end connections, keeping the overall face-to-face length.
+ * @param {string} ends - Connection type of the ends.
+ * @param {Object} dims - Dimensions from getValveDimensions().
+ * @param {number} minimum - Smallest half-length the body can have.
+ * @returns {number} Half-length in mm.
+ */
+function getBodyHalfLength(ends, dims, minimum) {
+    return Math.max(dims.faceToFace / 2 - getEndConnectionLength(ends, dims), minimum);
+}
+
+/**
+ * Gate valve: straight-through body, tall bonnet housing the wedge, rising stem.
+ * @returns {number} Height (Y) of the actuator mounting face.
+ */
+function buildGateValve(valveGroup, dims, materials, ends) {
+    const bodyHalfLength = getBodyHalfLength(ends, dims, dims.pipeRadius);
+    addPart(valveGroup, 'body', sharedGeometry(createBoredBoxGeometry, bodyHalfLength * 2, dims.bodyHeight, dims.bodyWidth, dims.boreRadius), materials.body);
+    addEndConnections(valveGroup, ends, dims, materials.body, bodyHalfLength);
+
+    // The bonnet houses the wedge when the valve is open, so it is about one bore tall
+    const bodyTop = dims.bodyHeight / 2;
+    const bonnetHeight = dims.dn + 40;
+    const bonnetLength = Math.min(bodyHalfLength * 1.2, dims.dn * 0.6 + 30);
+    const bonnet = addPart(valveGroup, 'bonnet', sharedGeometry(THREE.BoxGeometry, bonnetLength, bonnetHeight, dims.bodyWidth * 0.8), materials.body);
+    bonnet.position.y = bodyTop + bonnetHeight / 2;
+
+    const wedgeThickness = 0.15 * dims.dn + 6;
+    const gate = addPart(valveGroup, 'gate', sharedGeometry(THREE.BoxGeometry, wedgeThickness, dims.dn * 1.05, dims.dn * 1.05), materials.trim);
+
+    const seatThickness = 0.03 * dims.dn + 2;
+    [-1, 1].forEach(side => {
+        const seat = addPart(valveGroup, side < 0 ? 'seat_inlet' : 'seat_outlet', sharedGeometry(createTubeGeometry, dims.boreRadius * 1.05, dims.boreRadius * 0.9, seatThickness), materials.seat);
+        seat.rotation.z = Math.PI / 2;
+        seat.position.x = side * (wedgeThickness + seatThickness) / 2;
+    });
+
+    const bonnetTop = bodyTop + bonnetHeight;
+    const mountHeight = bonnetTop + dims.stemLength / 2;
+    addPacking(valveGroup, dims, materials.packing, bonnetTop);
+    const stem = addStem(valveGroup, dims, materials.trim, dims.dn * 0.525, mountHeight);
+
+    // Rising stem lifts the wedge fully clear of the bore, into the bonnet
+    addStrokeMotion(valveGroup, gate, 'position', 'y', dims.dn * 1.05);
+    addStrokeMotion(valveGroup, stem, 'position', 'y', dims.dn * 1.05);
+    return mountHeight;
+}
+
+/**
+ * Knife gate valve: short lug body, thin blade sliding in an open yoke.
+ * @returns {number} Height (Y) of the actuator mounting face.
+ */
+function buildKnifeGateValve(valveGroup, dims, materials, ends) {
+    const bodyLength = dims.faceToFace;
+    const bodySize = dims.flangeRadius * 2;
+    addPart(valveGroup, 'body', sharedGeometry(createBoredBoxGeometry, bodyLength, bodySize, bodySize, dims.boreRadius), materials.body);
+    addEndConnections(valveGroup, ends, dims, materials.body, bodyLength / 2);
+
+    // Yoke: two side posts and a top plate, tall enough for the blade to clear the bore
+    const bodyTop = bodySize / 2;
+    const postWidth = 0.06 * dims.dn + 8;
+    const yokeHeight = dims.dn * 1.1 + 40;
+    [-1, 1].forEach(side => {
+        const post = addPart(valveGroup, 'yoke', sharedGeometry(THREE.BoxGeometry, bodyLength * 0.6, yokeHeight, postWidth), materials.body);
+        post.position.set(0, bodyTop + yokeHeight / 2, side * (dims.dn * 0.55 + postWidth / 2 + 2));
+    });
+    const yokeTop = bodyTop + yokeHeight;
+    const topPlate = addPart(valveGroup, 'yoke', sharedGeometry(THREE.BoxGeometry, bodyLength * 0.6, postWidth, dims.dn * 1.1 + postWidth * 2 + 4), materials.body);
+    topPlate.position.y = yokeTop + postWidth / 2;
+
+    const blade = addPart(valveGroup, 'blade', sharedGeometry(THREE.BoxGeometry, 0.02 * dims.dn + 4, dims.dn * 1.1, dims.dn * 1.05), materials.trim);
+
+    const seat = addPart(valveGroup, 'seat', sharedGeometry(createTubeGeometry, dims.boreRadius * 1.08, dims.boreRadius, 0.03 * dims.dn + 3), materials.seat);
+    seat.rotation.z = Math.PI / 2;
+    seat.position.x = (0.02 * dims.dn + 4) / 2 + (0.03 * dims.dn + 3) / 2;
+
+    const mountHeight = yokeTop + postWidth + dims.stemLength / 3;
+    const stem = addStem(valveGroup, dims, materials.trim, dims.dn * 0.55, mountHeight);
+
+    addStrokeMotion(valveGroup, blade, 'position', 'y', dims.dn * 1.1);
+    addStrokeMotion(valveGroup, stem, 'position', 'y', dims.dn * 1.1);
+    return mountHeight;
+}
+
+/**
+ * Ball valve: barrel body around a ported ball, short neck for a quarter-turn stem.
+ * The ball is drawn closed, with its port across the flow (Z axis).
+ * @returns {number} Height (Y) of the actuator mounting face.
+ */
+function buildBallValve(valveGroup, dims, materials, ends) {
+    const ballRadius = dims.dn * 0.75;
+    const bodyRadius = ballRadius + Math.max(4, dims.dn * 0.12);
+    const bodyHalfLength = getBodyHalfLength(ends, dims, ballRadius + Math.max(4, dims.dn * 0.12));
+    addPart(valveGroup, 'body', sharedGeometry(createLatheAlongX, [
+        [dims.boreRadius, -bodyHalfLength],
+        [dims.pipeRadius * 1.1, -bodyHalfLength],
+        [bodyRadius, -ballRadius * 0.6],
+        [bodyRadius, ballRadius * 0.6],
+        [dims.pipeRadius * 1.1, bodyHalfLength],
+        [dims.boreRadius, bodyHalfLength],
+        [dims.boreRadius, -bodyHalfLength]
+    ]), materials.body);
+    addEndConnections(valveGroup, ends, dims, materials.body, bodyHalfLength);
+
+    // Sphere with a bore through it: the outer arc between the two port edges, closed along the bore
+    const portAngle = Math.asin(dims.boreRadius / ballRadius);
+    const ballProfile = [];
+    for (let i = 0; i <= 24; i++) {
+        const angle = portAngle + (Math.PI - 2 * portAngle) * (i / 24);
+        ballProfile.push(new THREE.Vector2(Math.sin(angle) * ballRadius, -Math.cos(angle) * ballRadius));
+    }
+    ballProfile.push(ballProfile[0].clone());
+    const ballGeometry = getCachedResource(`geometry:ball@DN${dims.dn}`, () => {
+        const geometry = new THREE.LatheGeometry(ballProfile, 32);
+        geometry.rotateX(Math.PI / 2); // Port across the flow: closed
+        return geometry;
+    });
+    const ball = addPart(valveGroup, 'ball', ballGeometry, materials.trim);
+    addStrokeMotion(valveGroup, ball, 'rotation', 'y', Math.PI / 2);
+
+    const seatOffset = Math.sqrt(ballRadius * ballRadius - dims.boreRadius * dims.boreRadius);
+    [-1, 1].forEach(side => {
+        const seat = addPart(valveGroup, side < 0 ? 'seat_inlet' : 'seat_outlet', sharedGeometry(createTubeGeometry, dims.boreRadius * 1.2, dims.boreRadius, 0.05 * dims.dn + 2), materials.seat);
+        seat.rotation.z = Math.PI / 2;
+        seat.position.x = side * seatOffset;
+    });
+
+    const neckHeight = 0.25 * dims.dn + 20;
+    const neck = addPart(valveGroup, 'neck', sharedGeometry(THREE.CylinderGeometry, dims.stemRadius * 2.2, dims.stemRadius * 2.2, neckHeight, 24), materials.body);
+    neck.position.y = bodyRadius * 0.9 + neckHeight / 2;
+
+    const neckTop = bodyRadius * 0.9 + neckHeight;
+    const mountHeight = neckTop + dims.stemLength * 0.3;
+    addPacking(valveGroup, dims, materials.packing, neckTop);
+    addStem(valveGroup, dims, materials.trim, ballRadius * 0.9, mountHeight);
+    return mountHeight;
+}
+
+/**
+ * Butterfly valve: short wafer body around a disc on a vertical shaft.
+ * Ends are only drawn when a connection is specified (wafer pattern otherwise).
+ * @returns {number} Height (Y) of the actuator mounting face.
+ */
+function buildButterflyValve(valveGroup, dims, materials, ends) {
+    const waferRadius = dims.flangeRadius * 0.85;
+    const waferLength = dims.faceToFace;
+    const body = addPart(valveGroup, 'body', sharedGeometry(createTubeGeometry, waferRadius, dims.boreRadius, waferLength), materials.body);
+    body.rotation.z = Math.PI / 2;
+    addEndConnections(valveGroup, ends, dims, materials.body, waferLength / 2);
+
+    // Liner the disc closes against
+    const liner = addPart(valveGroup, 'seat', sharedGeometry(createTubeGeometry, dims.boreRadius, dims.boreRadius * 0.97, waferLength), materials.seat);
+    liner.rotation.z = Math.PI / 2;
+
+    const discGeometry = sharedGeometry(THREE.CylinderGeometry, dims.boreRadius * 0.97, dims.boreRadius * 0.97, 0.08 * dims.dn + 3, 32);
+    const disc = addPart(valveGroup, 'disc', discGeometry, materials.trim);
+    disc.rotation.z = Math.PI / 2;
+    addStrokeMotion(valveGroup, disc, 'rotation', 'y', Math.PI / 2);
+
+    const neckHeight = 0.3 * dims.dn + 30;
+    const neck = addPart(valveGroup, 'neck', sharedGeometry(THREE.CylinderGeometry, dims.stemRadius * 2.2, dims.stemRadius * 2.2, neckHeight, 24), materials.body);
+    neck.position.y = waferRadius + neckHeight / 2;
+
+    const mountHeight = waferRadius + neckHeight;
+    addStem(valveGroup, dims, materials.trim, -dims.boreRadius, mountHeight);
+    return mountHeight;
+}
+
+/**
+ * Globe valve: spherical body with a horizontal seat, plug lifted by a rising stem through the bonnet.
+ * @returns {number} Height (Y) of the actuator mounting face.
+ */
+function buildGlobeValve(valveGroup, dims, materials, ends) {
+    const bodyRadius = dims.bodyHeight / 2;
+    addPart(valveGroup, 'body', sharedGeometry(THREE.SphereGeometry, bodyRadius, 32, 32), materials.body);
+
+    // Necks run from inside the sphere out to the end connections
+    const bodyHalfLength = getBodyHalfLength(ends, dims, bodyRadius);
+    const neckLength = bodyHalfLength - bodyRadius / 2;
+    [-1, 1].forEach(side => {
+        const neck = addPart(valveGroup, 'body', sharedGeometry(createTubeGeometry, dims.pipeRadius, dims.boreRadius, neckLength), materials.body);
+        neck.rotation.z = Math.PI / 2;
+        neck.position.x = side * (bodyRadius / 2 + neckLength / 2);
+    });
+    addEndConnections(valveGroup, ends, dims, materials.body, bodyHalfLength);
+
+    const seatHeight = 0.06 * dims.dn + 3;
+    addPart(valveGroup, 'seat', sharedGeometry(createTubeGeometry, dims.boreRadius * 0.55, dims.boreRadius * 0.4, seatHeight), materials.seat);
+
+    const plugHeight = 0.35 * dims.dn + 6;
+    const plug = addPart(valveGroup, 'plug', sharedGeometry(THREE.CylinderGeometry, dims.boreRadius * 0.45, dims.boreRadius * 0.35, plugHeight, 32), materials.trim);
+    plug.position.y = seatHeight / 2 + plugHeight / 2;
+
+    const bonnetHeight = 0.5 * dims.dn + 30;
+    const bonnetBase = bodyRadius * 0.85;
+    const bonnet = addPart(valveGroup, 'bonnet', sharedGeometry(THREE.CylinderGeometry, 0.3 * dims.dn + 12, 0.35 * dims.dn + 15, bonnetHeight, 32), materials.body);
+    bonnet.position.y = bonnetBase + bonnetHeight / 2;
+
+    const bonnetTop = bonnetBase + bonnetHeight;
+    const mountHeight = bonnetTop + dims.stemLength / 2;
+    addPacking(valveGroup, dims, materials.packing, bonnetTop);
+    const stem = addStem(valveGroup, dims, materials.trim, seatHeight / 2 + plugHeight, mountHeight);
+
+    // Globe valve lift is about a quarter of the bore
+    addStrokeMotion(valveGroup, plug, 'position', 'y', dims.dn * 0.25);
+    addStrokeMotion(valveGroup, stem, 'position', 'y', dims.dn * 0.25);
+    return mountHeight;
+}
+
+/**
+ * Weir diaphragm valve: body with a weir across the bore, elastomer diaphragm pressed down by the bonnet.
+ * The diaphragm is drawn closed, bulging down onto the weir.
+ * @returns {number} Height (Y) of the actuator mounting face.
+ */
+function buildDiaphragmValve(valveGroup, dims, materials, ends) {
+    // Low body: the pipe wall plus a casting allowance around the bore
+    const bodyHeight = 2 * dims.pipeRadius + 20;
+    const bodyHalfLength = getBodyHalfLength(ends, dims, dims.pipeRadius);
+    addPart(valveGroup, 'body', sharedGeometry(createBoredBoxGeometry, bodyHalfLength * 2, bodyHeight, dims.bodyWidth, dims.boreRadius), materials.body);
+    addEndConnections(valveGroup, ends, dims, materials.body, bodyHalfLength);
+
+    // Weir rises from the bottom of the bore to the centre line
+    const weir = addPart(valveGroup, 'weir', sharedGeometry(THREE.BoxGeometry, 0.35 * dims.dn + 6, dims.boreRadius, dims.dn * 0.95), materials.body);
+    weir.position.y = -dims.boreRadius / 2;
+
+    // Closed dome pointing down; its vertical scale is the flex of the diaphragm
+    const bodyTop = bodyHeight / 2;
+    const diaphragmRadius = dims.boreRadius * 1.1;
+    const domeProfile = [];
+    for (let i = 0; i <= 16; i++) {
+        const angle = (Math.PI / 2) * (i / 16);
+        domeProfile.push(new THREE.Vector2(Math.sin(angle) * diaphragmRadius, -Math.cos(angle) * diaphragmRadius));
+    }
+    domeProfile.push(new THREE.Vector2(0, 0));
+    const diaphragm = addPart(valveGroup, 'diaphragm', sharedGeometry(THREE.LatheGeometry, domeProfile, 32), materials.seat);
+    diaphragm.position.y = bodyTop;
+    diaphragm.scale.y = bodyTop / diaphragmRadius;
+
+    const bonnetHeight = 0.5 * dims.dn + 30;
+    const bonnet = addPart(valveGroup, 'bonnet', sharedGeometry(THREE.CylinderGeometry, 0.4 * dims.dn + 15, 0.6 * dims.dn + 20, bonnetHeight, 32), materials.body);
+    bonnet.position.y = bodyTop + bonnetHeight / 2;
+
+    const bonnetTop = bodyTop + bonnetHeight;
+    const mountHeight = bonnetTop + dims.stemLength / 3;
+    const stem = addStem(valveGroup, dims, materials.trim, bodyTop, mountHeight);
+
+    // Opening pulls the diaphragm off the weir until it bulges up into the bonnet
+    addStrokeMotion(valveGroup, diaphragm, 'scale', 'y', -0.35 - diaphragm.scale.y);
+    addStrokeMotion(valveGroup, stem, 'position', 'y', dims.dn * 0.3);
+    return mountHeight;
+}
+
+/**
+ * Needle valve: compact bar body with a slim bonnet and a tapered needle in a small seat.
+ * @returns {number} Height (Y) of the actuator mounting face.
+ */
+function buildNeedleValve(valveGroup, dims, materials, ends) {
+    const bodyHalfLength = getBodyHalfLength(ends, dims, dims.pipeRadius);
+    addPart(valveGroup, 'body', sharedGeometry(createBoredBoxGeometry, bodyHalfLength * 2, dims.bodyHeight, dims.bodyWidth * 0.8, dims.boreRadius), materials.body);
+    addEndConnections(valveGroup, ends, dims, materials.body, bodyHalfLength);
+
+    const seatHeight = 0.06 * dims.dn + 2;
+    const seat = addPart(valveGroup, 'seat', sharedGeometry(createTubeGeometry, dims.boreRadius * 0.5, dims.boreRadius * 0.3, seatHeight), materials.seat);
+    seat.position.y = -dims.boreRadius * 0.3;
+
+    // Cone pointing down with its tip in the seat
+    const needleLength = dims.dn * 0.9 + 10;
+    const needle = addPart(valveGroup, 'needle', sharedGeometry(THREE.ConeGeometry, dims.boreRadius * 0.45, needleLength, 24), materials.trim);
+    needle.rotation.x = Math.PI;
+    needle.position.y = -dims.boreRadius * 0.3 + needleLength / 2;
+
+    const bodyTop = dims.bodyHeight / 2;
+    const bonnetHeight = dims.dn + 30;
+    const bonnet = addPart(valveGroup, 'bonnet', sharedGeometry(THREE.CylinderGeometry, 0.3 * dims.dn + 8, 0.3 * dims.dn + 8, bonnetHeight, 6), materials.body);
+    bonnet.position.y = bodyTop + bonnetHeight / 2;
+
+    const bonnetTop = bodyTop + bonnetHeight;
+    const mountHeight = bonnetTop + dims.stemLength / 3;
+    addPacking(valveGroup, dims, materials.packing, bonnetTop);
+    const stem = addStem(valveGroup, dims, materials.trim, -dims.boreRadius * 0.3 + needleLength, mountHeight);
+
+    addStrokeMotion(valveGroup, needle, 'position', 'y', dims.dn * 0.35);
+    addStrokeMotion(valveGroup, stem, 'position', 'y', dims.dn * 0.35);
+    return mountHeight;
+}
+
+// Valve families that can be drawn, with their builder, default ends and operating motion.
+// maxManualDN is the largest size operated directly by lever or handwheel (see selectManualOperator).
+const VALVE_FAMILIES = {
+    gate: { label: 'Gate valve', build: buildGateValve, defaultEnds: 'flanged', quarterTurn: false, maxManualDN: 300 },
+    knife_gate: { label: 'Knife gate valve', build: buildKnifeGateValve, defaultEnds: '', quarterTurn: false, maxManualDN: 300 },
+    ball: { label: 'Ball valve', build: buildBallValve, defaultEnds: 'flanged', quarterTurn: true, maxManualDN: 100 },
+    butterfly: { label: 'Butterfly valve', build: buildButterflyValve, defaultEnds: '', quarterTurn: true, maxManualDN: 200 },
+    globe: { label: 'Globe valve', build: buildGlobeValve, defaultEnds: 'flanged', quarterTurn: false, maxManualDN: 150 },
+    diaphragm: { label: 'Weir diaphragm valve', build: buildDiaphragmValve, defaultEnds: 'flanged', quarterTurn: false, maxManualDN: 200 },
+    needle: { label: 'Needle valve', build: buildNeedleValve, defaultEnds: 'threaded', quarterTurn: false, maxManualDN: 50 }
+};
+
+// Manual operators, from direct operation to geared operation of large or high-pressure valves
+const MANUAL_OPERATORS = {
+    lever: { label: 'Lever' },
+    handwheel: { label: 'Handwheel' },
+    bevel_gearbox: { label: 'Bevel gearbox with handwheel' },
+    worm_gearbox: { label: 'Worm gearbox with handwheel' }
+};
+// Differential pressure (bar) up to which the maxManualDN of the valve families applies
+const MANUAL_OPERATOR_REFERENCE_PRESSURE = 10;
+
+/**
+ * Picks the manual operator of a valve: a lever or handwheel while the operating torque stays within
+ * the EN 12570 hand force, a worm (quarter-turn) or bevel (multi-turn) gearbox above that.
+ * @param {Object} family - Entry of VALVE_FAMILIES.
+ * @param {number} dn - Nominal diameter in mm.
+ * @param {number} [differentialPressure] - Differential pressure in bar; the reference pressure when not given.
+ * @returns {string} Key of MANUAL_OPERATORS.
+ */
+function selectManualOperator(family, dn, differentialPressure) {
+    const pressure = Number.isFinite(differentialPressure)
+        ? Math.max(differentialPressure, MANUAL_OPERATOR_REFERENCE_PRESSURE)
+        : MANUAL_OPERATOR_REFERENCE_PRESSURE;
+    // The torque grows with the bore area times the pressure, so the same torque is reached at a DN
+    // smaller by the square root of the pressure ratio
+    const maxDirectDN = family.maxManualDN * Math.sqrt(MANUAL_OPERATOR_REFERENCE_PRESSURE / pressure);
+    if (dn <= maxDirectDN) {
+        return family.quarterTurn ? 'lever' : 'handwheel';
+    }
+    return family.quarterTurn ? 'worm_gearbox' : 'bevel_gearbox';
+}
+
+// Family shown for each main function until a specific family is recommended or selected.
+const FUNCTION_DEFAULT_FAMILIES = {
+    on_off: 'gate',
+    regulation: 'globe',
+    on_off_regulation: 'butterfly'
+};
+
+// Patterns naming each family in recommendation text; knife gate is checked before gate.
+const VALVE_FAMILY_PATTERNS = [
+    ['knife_gate', /knife[\s-]*gate|guillotine/],
+    ['butterfly', /butterfly|papillon/],
+    ['ball', /\bball\b|tournant sph[ée]rique/],
+    ['globe', /\bglobe\b|soupape/],
+    ['diaphragm', /diaphragm|membrane/],
+    ['needle', /\bneedle\b|pointeau/],
+    ['gate', /\bgate\b|robinet[\s-]vanne|opercule/]
+];
+
+/**
+ * Finds the valve family named in a piece of recommendation text.
+ * @param {string} text - A recommendation line.
+ * @returns {string|null} Family key from VALVE_FAMILIES, or null if none is named.
+ */
+function detectValveFamily(text) {
+    const lowerText = String(text).toLowerCase();
+    const entry = VALVE_FAMILY_PATTERNS.find(([, pattern]) => pattern.test(lowerText));
+    return entry ? entry[0] : null;
+}
+
+/**
+ * Points the camera at the model and moves it back far enough for the whole model to fit the view.
+ * Clipping planes and zoom limits follow the model size, so DN15 and DN600 valves frame alike.
+ * @param {THREE.Object3D} object - The model to frame.
+ * @param {THREE.Vector3} [direction] - Direction from the model to the camera; defaults to the current view direction.
+ * @param {boolean} [animate=false] - Whether to move the camera there smoothly instead of jumping.
+ */
+function frameCameraOnModel(object, direction, animate = false) {
+    const box = new THREE.Box3().setFromObject(object);
+    // Both viewports share the camera in compare mode, so it must fit the pinned model too
+    if (compareState.model) {
+        box.union(new THREE.Box3().setFromObject(compareState.model));
+    }
+    const viewDirection = direction || camera.position.clone().sub(controls.target);
+    const { position, target, distance, radius } = mainViewer.getFramedView(box, viewDirection);
+
+    if (animate) {
+        startCameraTransition(position, target);
+    } else {
+        cameraTransition.active = false;
+        controls.target.copy(target);
+        camera.position.copy(position);
+    }
+    camera.near = distance / 100;
+    camera.far = distance * 100;
+    camera.updateProjectionMatrix();
+
+    controls.minDistance = radius * 1.1;
+    controls.maxDistance = distance * 4;
+    controls.update();
+}
+
+// Direction from the model to the camera for each preset view. The top view is tilted a hair
+// towards the front so OrbitControls keeps a defined up direction.
+const CAMERA_PRESETS = {
+    front: new THREE.Vector3(0, 0, 1),
+    top: new THREE.Vector3(0, 1, 0.001),
+    side: new THREE.Vector3(1, 0, 0),
+    isometric: new THREE.Vector3(1, 1, 1)
+};
+const CAMERA_TRANSITION_DURATION = 0.6; // seconds
+
+/**
+ * Starts a smooth camera move to a new position and target. The camera swings around the target
+ * rather than cutting through the model.
+ * @param {THREE.Vector3} position - Final camera position.
+ * @param {THREE.Vector3} target - Final orbit target.
+ */
+function startCameraTransition(position, target) {
+    Object.assign(cameraTransition, {
+        active: true,
+        elapsed: 0,
+        fromTarget: controls.target.clone(),
+        toTarget: target.clone(),
+        fromOffset: camera.position.clone().sub(controls.target),
+        toOffset: position.clone().sub(target)
+    });
+    requestRender();
+}
+
+/**
+ * Advances the camera transition started by startCameraTransition.
+ * @param {number} delta - Seconds since the previous frame.
+ */
+function advanceCameraTransition(delta) {
+    const transition = cameraTransition;
+    transition.elapsed = Math.min(transition.elapsed + delta, CAMERA_TRANSITION_DURATION);
+    const t = transition.elapsed / CAMERA_TRANSITION_DURATION;
+    const eased = t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2; // Ease in-out cubic
+
+    // Interpolate the view direction on the sphere and the distance separately
+    const fromDirection = transition.fromOffset.clone().normalize();
+    const toDirection = transition.toOffset.clone().normalize();
+    const rotation = new THREE.Quaternion().slerp(new THREE.Quaternion().setFromUnitVectors(fromDirection, toDirection), eased);
+    const distance = THREE.MathUtils.lerp(transition.fromOffset.length(), transition.toOffset.length(), eased);
+
+    controls.target.lerpVectors(transition.fromTarget, transition.toTarget, eased);
+    camera.position.copy(controls.target).addScaledVector(fromDirection.applyQuaternion(rotation), distance);
+    if (t >= 1) transition.active = false;
+}
+
+/**
+ * Moves the camera to a preset view of the model shown, fitted to its bounds.
+ * @param {string} presetName - front, top, side or isometric (see CAMERA_PRESETS).
+ */
+function setCameraPreset(presetName) {
+    if (!currentModel) return;
+    frameCameraOnModel(installation, CAMERA_PRESETS[presetName], true);
+}
+
+// Standard PN ratings (EN 1333); the nameplate shows the smallest one covering the entered pressure
+const PN_RATINGS = [2.5, 6, 10, 16, 25, 40, 63, 100, 160, 250, 320, 400];
+
+// Approval marks on the nameplate
+const APPROVAL_MARKINGS = {
+    dvgw_gas: 'DVGW G',
+    dvgw_drinking_water: 'DVGW W',
+    fda: 'FDA',
+    ce: 'CE',
+    atex: 'ATEX Ex',
+    sil: 'SIL',
+    fire_safe: 'Fire safe'
+};
+
+/**
+ * Lists the nameplate text for the values the user entered, in the style of EN 19 markings,
+ * e.g. ["DN100 PN16", "GJS-400 / PTFE / DVGW W", "TS max 120 °C"]. Values not entered are left out.
+ * @param {Object} config - Valve configuration (see buildValveModel).
+ * @returns {Array<string>} Text lines; empty when nothing was entered.
+ */
+function getNameplateLines(config) {
+    const lines = [];
+
+    const rating = [];
+    if (config.nominalDiameter) rating.push(`DN${Math.round(config.nominalDiameter)}`);
+    if (Number.isFinite(config.pressure)) {
+        const pn = PN_RATINGS.find(value => value >= config.pressure);
+        rating.push(pn ? `PN${pn}` : `PS ${config.pressure} bar`);
+    }
+    if (rating.length) lines.push(rating.join(' '));
+
+    const bodySpec = BODY_MATERIAL_LIBRARY[config.bodyMaterial];
+    const sealSpec = SEAL_MATERIAL_LIBRARY[config.sealMaterial];
+    const materials = [bodySpec && bodySpec.marking, sealSpec && sealSpec.marking, APPROVAL_MARKINGS[config.approvals]].filter(Boolean);
+    if (materials.length) lines.push(materials.join(' / '));
+
+    if (Number.isFinite(config.temperature)) lines.push(`TS max ${config.temperature} °C`);
+    return lines;
+}
+
+/**
+ * Creates the nameplate material: brushed steel with the text engraved in black, on a 2:1 canvas.
+ * The canvas texture is freed with the material.
+ * @param {Array<string>} lines - Text lines (see getNameplateLines).
+ * @returns {THREE.MeshStandardMaterial|null} The material, or null where canvas 2D drawing is unavailable.
+ */
+function createNameplateMaterial(lines) {
+    const canvas = document.createElement('canvas');
+    canvas.width = 512;
+    canvas.height = 256;
+    const context = canvas.getContext('2d');
+    if (!context) return null;
+
+    const gradient = context.createLinearGradient(0, 0, 0, canvas.height);
+    gradient.addColorStop(0, '#e2e5e8');
+    gradient.addColorStop(1, '#b9bec3');
+    context.fillStyle = gradient;
+    context.fillRect(0, 0, canvas.width, canvas.height);
+    context.strokeStyle = '#6b7177';
+    context.lineWidth = 6;
+    context.strokeRect(10, 10, canvas.width - 20, canvas.height - 20);
+    // Rivets in the corners
+    context.fillStyle = '#80868c';
+    [[28, 28], [canvas.width - 28, 28], [28, canvas.height - 28], [canvas.width - 28, canvas.height - 28]].forEach(([x, y]) => {
+        context.beginPath();
+        context.arc(x, y, 7, 0, Math.PI * 2);
+        context.fill();
+    });
+
+    // The first line (usually DN and PN) is set larger; long lines are squeezed to fit
+    context.fillStyle = '#1b1d1f';
+    context.textAlign = 'center';
+    context.textBaseline = 'middle';
+    const rowHeight = (canvas.height - 60) / lines.length;
+    lines.forEach((line, index) => {
+        const fontSize = Math.min(index === 0 ? 60 : 44, rowHeight * 0.8);
+        context.font = `bold ${Math.round(fontSize)}px sans-serif`;
+        context.fillText(line, canvas.width / 2, 30 + rowHeight * (index + 0.5), canvas.width - 80);
+    });
+
+    const texture = new THREE.CanvasTexture(canvas);
+    const material = new THREE.MeshStandardMaterial({
+        name: 'nameplate',
+        map: texture,
+        metalness: 0.6,
+        roughness: 0.45,
+        userData: { label: 'Stainless steel nameplate', limits: '', cutaway: true }
+    });
+    material.addEventListener('dispose', () => texture.dispose());
+    return material;
+}
+
+/**
+ * Adds the nameplate on the front of the valve body, sized to the body and cut away with it.
+ * @param {THREE.Group} valveGroup - The valve model, with its body parts built.
+ * @param {Object} config - Valve configuration (see buildValveModel).
+ */
+function addNameplate(valveGroup, config) {
+    const lines = getNameplateLines(config);
+    if (!lines.length) return;
+    const material = getCachedResource(`material:nameplate:${lines.join('|')}`, () => createNameplateMaterial(lines));
+    if (!material) return;
+
+    const bodyBox = new THREE.Box3();
+    valveGroup.children.forEach((part) => {
+        if (part.name === 'body') bodyBox.expandByObject(part);
+    });
+    if (bodyBox.isEmpty()) return;
+    const bodySize = bodyBox.getSize(new THREE.Vector3());
+    const width = Math.round(Math.min(bodySize.x * 0.8, bodySize.y * 1.2));
+
+    // A 1 mm plate rather than a plane, so the model stays watertight for 3D printing
+    const plate = addPart(valveGroup, 'nameplate', sharedGeometry(THREE.BoxGeometry, width, width / 2, 1), material);
+    plate.position.set((bodyBox.min.x + bodyBox.max.x) / 2, (bodyBox.min.y + bodyBox.max.y) / 2, bodyBox.max.z + 0.5);
+}
+
+/**
+ * Builds the procedural model of a valve family with the chosen material, actuation, size and end connections.
+ * Geometry is in millimetres, derived from the nominal diameter. The model is not added to any scene.
+ * @param {Object} config - Valve configuration.
+ * @param {string} config.valveFunction - The selected main function of the valve.
+ * @param {string} [config.valveFamily] - Family key from VALVE_FAMILIES; defaults to the function's usual family.
+ * @param {string} config.bodyMaterial - The selected body and bonnet material.
+ * @param {string} config.actuationType - The selected actuation type (manual, electric, pneumatic).
+ * @param {string} [config.actuatorVariant] - Variant of an electric or pneumatic actuator (see addActuator).
+ * @param {Array<string>} [config.actuatorAccessories] - Accessories of an electric or pneumatic actuator.
+ * @param {string} [config.failSafePosition] - Fail-safe position of an electric or pneumatic actuator (see FAIL_SAFE_POSITIONS).
+ * @param {number|null} config.nominalDiameter - Nominal diameter in mm (see parseNominalDiameter).
+ * @param {string} config.connectionType - The selected connection type (threaded, flanged, socket_welding, butt_welding).
+ * @param {string} [config.sealMaterial] - The selected seal surface material, used for seats and diaphragms.
+ * @param {string} [config.mediaData] - The selected fluid type, used for the flow overlay colour.
+ * @param {number} [config.differentialPressure] - Differential pressure in bar, used for the flow overlay speed.
+ * @param {number} [config.pressure] - Maximum pressure in bar, for the nameplate and the flange rating.
+ * @param {number} [config.temperature] - Maximum temperature in °C, for the nameplate.
+ * @param {string} [config.approvals] - The selected approval, for the nameplate.
+ * @returns {THREE.Group|null} The valve model, or null when no family applies.
+ */
+function buildValveModel(config) {
+    const valveFamily = config.valveFamily || FUNCTION_DEFAULT_FAMILIES[config.valveFunction];
+    const family = VALVE_FAMILIES[valveFamily];
+    if (!family) return null;
+
+    const valveGroup = new THREE.Group();
+    valveGroup.name = valveFamily;
+    valveGroup.userData = { valveFamily, strokeMotions: [] };
+    const ends = config.connectionType || family.defaultEnds;
+    const dims = getValveDimensions(config.nominalDiameter, { valveFamily, connectionType: ends, pressure: config.pressure });
+    // Only the body material is cut in cutaway mode, so the internals stay whole
+    const materials = {
+        body: getCachedResource(`material:body_${config.bodyMaterial}`, () => {
+            const material = createBodyMaterial(config.bodyMaterial);
+            material.userData.cutaway = true;
+            return material;
+        }),
+        trim: getCachedResource('material:trim', () => new THREE.MeshStandardMaterial({ name: 'trim', color: 0x9da3a8, metalness: 1.0, roughness: 0.3, side: THREE.DoubleSide, userData: { label: 'Stainless steel 316 trim', limits: '-196 to +550 °C', density: 8000 } })),
+        seat: getCachedResource(`material:seal_${config.sealMaterial}`, () => createSealMaterial(config.sealMaterial)),
+        packing: getCachedResource('material:packing', () => new THREE.MeshStandardMaterial({ name: 'packing', color: 0x3a3a3a, metalness: 0.0, roughness: 0.9, side: THREE.DoubleSide, userData: { label: 'Expanded graphite', limits: '-200 to +450 °C in oxidising media', density: 1600 } }))
+    };
+
+    const mountHeight = family.build(valveGroup, dims, materials, ends);
+    addNameplate(valveGroup, config);
+
+    if (config.actuationType === 'manual') {
+        const manualOperator = selectManualOperator(family, dims.dn, config.differentialPressure);
+        valveGroup.userData.manualOperator = manualOperator;
+        addManualOperator(valveGroup, manualOperator, dims, mountHeight);
+    } else {
+        addActuator(valveGroup, {
+            type: config.actuationType,
+            variant: config.actuatorVariant,
+            accessories: config.actuatorAccessories,
+            failSafePosition: config.failSafePosition
+        }, dims, mountHeight);
+    }
+
+    valveGroup.userData.dims = dims;
+    valveGroup.userData.estimate = estimateWeightAndEnvelope(valveGroup);
+    // Frees what the previous model used and this one does not, and materials this family has no part for
+    sweepResourceCache();
+    return valveGroup;
+}
+
+// Enclosed volume and surface area of each geometry in mm³ and mm², computed once per shared geometry
+const geometryVolumes = new WeakMap();
+const geometryAreas = new WeakMap();
+
+// Parts drawn as solid blocks around the bore that are hollow castings: they weigh as a wall of
+// dims.castWallThickness over their drawn surface, or as the solid block if that is lighter.
+const CAST_SHELL_PARTS = ['body', 'bonnet'];
+
+/**
+ * Computes the volume enclosed by a closed geometry, as the sum of the signed volumes of the
+ * tetrahedra between the origin and each triangle.
+ * @param {THREE.BufferGeometry} geometry - A closed (watertight) geometry.
+ * @returns {number} Volume in the cube of the geometry units.
+ */
+function getGeometryVolume(geometry) {
+    if (geometryVolumes.has(geometry)) return geometryVolumes.get(geometry);
+
+    const position = geometry.attributes.position;
+    const index = geometry.index;
+    const triangleCount = (index ? index.count : position.count) / 3;
+    const a = new THREE.Vector3();
+    const b = new THREE.Vector3();
+    const c = new THREE.Vector3();
+    let volume = 0;
+    for (let i = 0; i < triangleCount; i++) {
+        const [ia, ib, ic] = [0, 1, 2].map(k => (index ? index.getX(i * 3 + k) : i * 3 + k));
+        a.fromBufferAttribute(position, ia);
+        b.fromBufferAttribute(position, ib);
+        c.fromBufferAttribute(position, ic);
+        volume += a.dot(b.cross(c)) / 6;
+    }
+    volume = Math.abs(volume);
+    geometryVolumes.set(geometry, volume);
+    return volume;
+}
+
+/**
+ * Computes the surface area of a geometry as the sum of the areas of its triangles.
+ * @param {THREE.BufferGeometry} geometry - The geometry.
+ * @returns {number} Area in the square of the geometry units.
+ */
+function getGeometryArea(geometry) {
+    if (geometryAreas.has(geometry)) return geometryAreas.get(geometry);
+
+    const position = geometry.attributes.position;
+    const index = geometry.index;
+    const triangleCount = (index ? index.count : position.count) / 3;
+    const a = new THREE.Vector3();
+    const b = new THREE.Vector3();
+    const c = new THREE.Vector3();
+    let area = 0;
+    for (let i = 0; i < triangleCount; i++) {
+        const [ia, ib, ic] = [0, 1, 2].map(k => (index ? index.getX(i * 3 + k) : i * 3 + k));
+        a.fromBufferAttribute(position, ia);
+        b.fromBufferAttribute(position, ib).sub(a);
+        c.fromBufferAttribute(position, ic).sub(a);
+        area += b.cross(c).length() / 2;
+    }
+    geometryAreas.set(geometry, area);
+    return area;
+}
+
+/**
+ * Estimates the weight of a valve model from the volume of its parts and the density of their materials,
+ * and measures its overall envelope. Valve parts weigh by the density of their material, bodies and bonnets
+ * as hollow castings (see CAST_SHELL_PARTS); actuator, operator and accessory parts by the apparent density
+ * of their drawn envelope (see ACTUATOR_HOUSING_INFO). Parts with neither, such as the nameplate and
+ * position indicators, are too light to count.
+ * @param {THREE.Group} model - A model built by buildValveModel, in its closed position, with its dims.
+ * @returns {{weight: number, operatorWeight: number, envelope: {length: number, width: number, height: number}, bounds: THREE.Box3}}
+ *     Weight of the bare valve and of its actuator or operator with accessories in kg, envelope in mm, and the
+ *     bounding box the envelope is measured from, in world coordinates, which are the model coordinates as long
+ *     as the model has not been added to the scene.
+ */
+function estimateWeightAndEnvelope(model) {
+    model.updateMatrixWorld(true);
+    const modelInverse = new THREE.Matrix4().copy(model.matrixWorld).invert();
+    const partMatrix = new THREE.Matrix4();
+    const { castWallThickness } = model.userData.dims;
+    let weight = 0;
+    let operatorWeight = 0;
+    model.traverse((object) => {
+        if (!object.isMesh) return;
+        const { density, apparentDensity } = object.material.userData;
+        if (!density && !apparentDensity) return;
+        // Only scaling changes the volume and area; mm³ to m³ is 1e-9
+        partMatrix.multiplyMatrices(modelInverse, object.matrixWorld);
+        const scale = Math.abs(partMatrix.determinant());
+        let volume = getGeometryVolume(object.geometry) * scale * 1e-9;
+        if (density && CAST_SHELL_PARTS.includes(object.name)) {
+            const wallVolume = getGeometryArea(object.geometry) * Math.pow(scale, 2 / 3) * castWallThickness * 1e-9;
+            volume = Math.min(volume, wallVolume);
+        }
+        if (density) {
+            weight += volume * density;
+        } else {
+            operatorWeight += volume * apparentDensity;
+        }
+    });
+
+    const bounds = new THREE.Box3().setFromObject(model);
+    const size = bounds.getSize(new THREE.Vector3());
+    return { weight, operatorWeight, envelope: { length: size.x, width: size.z, height: size.y }, bounds };
+}
+
+/**
+ * Formats an estimated weight: one decimal below 10 kg, whole kilograms above.
+ * @param {number} weight - Weight in kg.
+ * @returns {string}
+ */
+function formatWeight(weight) {
+    return `${weight < 10 ? weight.toFixed(1) : Math.round(weight)} kg`;
+}
+
+/**
+ * Shows the estimated weight and envelope of the model in the 3D viewer in the results panel.
+ * @param {THREE.Group|null} [model=currentModel] - The model shown, or null to hide the estimate.
+ */
+function updateModelEstimate(model = currentModel) {
+    const panel = document.getElementById('modelEstimate');
+    const shippingWeightValue = document.getElementById('estimatedShippingWeight');
+    const weightValue = document.getElementById('estimatedWeight');
+    const envelopeValue = document.getElementById('estimatedEnvelope');
+    if (!panel || !shippingWeightValue || !weightValue || !envelopeValue) return;
+
+    panel.classList.toggle('d-none', !model);
+    if (!model) return;
+    const { weight, operatorWeight, envelope } = model.userData.estimate;
+    const operator = model.userData.manualOperator ? 'operator' : 'actuator and accessories';
+    shippingWeightValue.textContent = `approx. ${formatWeight(weight + operatorWeight)}, with ${operator}`;
+    weightValue.textContent = `approx. ${formatWeight(weight)}; ${operator} approx. ${formatWeight(operatorWeight)}`;
+    envelopeValue.textContent = `${Math.round(envelope.length)} × ${Math.round(envelope.width)} × ${Math.round(envelope.height)} mm`;
+}
+
+/**
+ * Releases the geometries and materials of a model that is no longer displayed.
+ * Shared ones are freed once no other model uses them (see releaseResource).
+ * @param {THREE.Object3D} model - The model to dispose.
+ */
+function disposeModel(model) {
+    model.traverse((object) => {
+        if (object.isMesh) {
+            releaseResource(object.geometry);
+            releaseResource(object.material);
+        }
+    });
+}
+
+/**
+ * Replaces the model in the 3D viewer with a new one built from the configuration.
+ * @param {Object} config - Valve configuration (see buildValveModel).
+ */
+function update3DModel(config) {
+    console.log(`update3DModel called with: Function=${config.valveFunction}, Family=${config.valveFamily}, Material=${config.bodyMaterial}, Actuation=${config.actuationType}, DN=${config.nominalDiameter}, Connection=${config.connectionType}`);
+
+    if (schematicView) {
+        showValveSchematic(config);
+        return;
+    }
+
+    // Remove previous model if it exists
+    clearPartSelection();
+    strokeState.failTarget = null;
+    if (currentModel) {
+        installation.remove(currentModel);
+        disposeModel(currentModel);
+        currentModel = null;
+        console.log("Previous model removed.");
+    }
+
+    const valveGroup = buildValveModel(config);
+    const caption = document.getElementById('viewerCaption');
+    const exportDropdown = document.getElementById('exportDropdown');
+    if (exportDropdown) exportDropdown.disabled = !valveGroup;
+    showExportWarning('');
+    if (!valveGroup) {
+        console.log("No specific valve function selected for 3D model. Clearing 3D view.");
+        currentConfig = null;
+        updatePipeline();
+        updateFlowParticles();
+        updateDimensionAnnotations();
+        clearMeasurement();
+        if (caption) caption.textContent = '';
+        updateFailSafeButton();
+        updateModelEstimate();
+        updateCompareView();
+        requestRender();
+        return;
+    }
+
+    const { valveFamily } = valveGroup.userData;
+    currentModel = valveGroup;
+    currentConfig = Object.assign({}, config, { valveFamily });
+    applyStrokePosition(currentModel, strokeState.position);
+    applyCutaway(currentModel);
+    installation.add(currentModel);
+    updatePipeline();
+    updateFlowParticles();
+    updateDimensionAnnotations();
+    clearMeasurement();
+    frameCameraOnModel(installation);
+    updateFailSafeButton();
+    updateModelEstimate();
+    updateCompareView();
+    requestRender();
+    console.log("New 3D model added to scene.");
+}
+
+// Labels of the form inputs listed in the comparison table, in form order
+const COMPARE_INPUT_LABELS = {
+    mainFunction: 'Main function',
+    bodyBonnetMaterial: 'Body / bonnet material',
+    actuationType: 'Actuation',
+    actuatorVariant: 'Actuator variant',
+    actuatorAccessories: 'Actuator accessories',
+    failSafePosition: 'Fail-safe position',
+    temperature: 'Temperature (°C)',
+    pressure: 'Pressure (bar)',
+    sealSurfaceMaterial: 'Seal surface material',
+    connectionType: 'Connection',
+    nominalDiameter: 'Nominal diameter',
+    mediaData: 'Fluid type',
+    lubricantType: 'Lubricant',
+    safetyFactor: 'Safety factor',
+    differentialPressure: 'Differential pressure (bar)',
+    approvals: 'Approvals',
+    aiPrompt: 'Additional requirements'
+};
+
+/**
+ * Pins the configuration shown in the viewer as configuration A and splits the viewer in two.
+ * Configuration B on the right keeps following the form and the recommendation cards.
+ */
+function startCompare() {
+    if (!currentModel || compareState.enabled) return;
+    compareState.enabled = true;
+    compareState.config = currentConfig;
+    compareState.inputs = currentInputs;
+    compareState.recommendations = currentRecommendations.slice();
+    compareState.scene = createViewerScene(scene.environment);
+    compareState.model = buildValveModel(currentConfig);
+    isolateCutawayMaterials(compareState.model);
+    // Turned to the pipeline orientation like the current model (see updatePipeline)
+    compareState.installation = new THREE.Group();
+    compareState.installation.rotation.copy(installation.rotation);
+    compareState.installation.add(compareState.model);
+    compareState.scene.add(compareState.installation);
+    applyStrokePosition(compareState.model, strokeState.position);
+    applyCutaway(compareState.model);
+
+    mainViewer.columns = 2;
+    mainViewer.resize();
+    frameCameraOnModel(installation);
+    updateCompareView();
+    console.log("Compare mode started.");
+    requestRender();
+}
+
+/**
+ * Leaves compare mode and frees the pinned model.
+ */
+function stopCompare() {
+    if (!compareState.enabled) return;
+    clearPartSelection();
+    disposeModel(compareState.model);
+    Object.assign(compareState, { enabled: false, config: null, inputs: null, recommendations: [], scene: null, installation: null, model: null });
+
+    mainViewer.columns = 1;
+    mainViewer.resize();
+    if (currentModel) frameCameraOnModel(installation);
+    updateCompareView();
+    console.log("Compare mode stopped.");
+    requestRender();
+}
+
+/**
+ * Renders the pinned configuration in the left half of the viewer and the current one in the right half,
+ * both through the shared camera so orbiting moves them together.
+ */
+function renderSplitView() {
+    const size = renderer.getSize(new THREE.Vector2());
+    const half = Math.floor(size.x / 2);
+    renderer.setScissorTest(true);
+    renderer.setViewport(0, 0, half, size.y);
+    renderer.setScissor(0, 0, half, size.y);
+    renderer.render(compareState.scene, camera);
+    renderer.setViewport(half, 0, size.x - half, size.y);
+    renderer.setScissor(half, 0, size.x - half, size.y);
+    renderer.render(scene, camera);
+    renderer.setScissorTest(false);
+    renderer.setViewport(0, 0, size.x, size.y);
+}
+
+/**
+ * Formats a form input for the comparison table, using the option text for select inputs
+ * and the checkbox labels for checkbox groups.
+ * @param {string} name - Input name (see COMPARE_INPUT_LABELS).
+ * @param {*} value - The submitted value.
+ * @returns {string}
+ */
+function formatCompareValue(name, value) {
+    if (Array.isArray(value)) {
+        if (!value.length) return '—';
+        return value.map((item) => {
+            const checkbox = document.querySelector(`input[name="${name}"][value="${item}"]`);
+            const label = checkbox && document.querySelector(`label[for="${checkbox.id}"]`);
+            return label ? label.textContent : item;
+        }).join(', ');
+    }
+    if (value === undefined || value === null || value === '' || Number.isNaN(value)) return '—';
+    const field = document.getElementById(name);
+    if (field && field.tagName === 'SELECT') {
+        const option = Array.from(field.options).find(item => item.value.toLowerCase() === String(value).toLowerCase());
+        if (option) return option.textContent;
+    }
+    return String(value);
+}
+
+/**
+ * Summarises a configuration shown in the viewer, e.g. "Ball valve, DN100", with the operator of manual valves.
+ * @param {Object} config - Valve configuration with its valve family.
+ * @returns {string}
+ */
+function describeConfig(config) {
+    const dims = getValveDimensions(config.nominalDiameter);
+    const family = VALVE_FAMILIES[config.valveFamily];
+    const description = `${family.label}, DN${Math.round(dims.dn)}`;
+    if (config.actuationType !== 'manual') return description;
+    const manualOperator = selectManualOperator(family, dims.dn, config.differentialPressure);
+    return `${description}, ${MANUAL_OPERATORS[manualOperator].label.toLowerCase()}`;
+}
+
+/**
+ * Updates the compare button, the viewer caption and the table comparing the inputs and
+ * recommendations of the pinned and current configurations.
+ */
+function updateCompareView() {
+    const button = document.getElementById('compareButton');
+    const panel = document.getElementById('comparePanel');
+    const caption = document.getElementById('viewerCaption');
+    if (button) {
+        button.disabled = !currentModel && !compareState.enabled;
+        button.classList.toggle('active', compareState.enabled);
+        button.setAttribute('aria-pressed', compareState.enabled ? 'true' : 'false');
+    }
+    if (caption && currentConfig) {
+        caption.textContent = compareState.enabled
+            ? `A: ${describeConfig(compareState.config)} | B: ${describeConfig(currentConfig)}`
+            : describeConfig(currentConfig);
+    }
+    if (!panel) return;
+    panel.classList.toggle('d-none', !compareState.enabled);
+    if (!compareState.enabled) return;
+
+    const tbody = panel.querySelector('tbody');
+    tbody.innerHTML = '';
+    const addRow = (label, valueA, valueB) => {
+        const row = document.createElement('tr');
+        if (valueA !== valueB) row.className = 'table-warning';
+        [label, valueA, valueB].forEach((text, index) => {
+            const cell = document.createElement(index === 0 ? 'th' : 'td');
+            if (index === 0) cell.scope = 'row';
+            cell.textContent = text;
+            row.appendChild(cell);
+        });
+        tbody.appendChild(row);
+    };
+
+    addRow('Valve shown', describeConfig(compareState.config), currentConfig ? describeConfig(currentConfig) : '—');
+    const inputsA = compareState.inputs || {};
+    const inputsB = currentInputs || {};
+    Object.keys(COMPARE_INPUT_LABELS).forEach(name => {
+        addRow(COMPARE_INPUT_LABELS[name], formatCompareValue(name, inputsA[name]), formatCompareValue(name, inputsB[name]));
+    });
+    addRow('Recommendations', compareState.recommendations.join('\n') || '—', currentRecommendations.join('\n') || '—');
+}
+
+// Rotation about Z of the valve and pipe run for each pipeline orientation; flow runs along +X in the model
+const PIPELINE_ORIENTATIONS = {
+    horizontal: 0,
+    vertical_up: Math.PI / 2, // Inlet at the bottom
+    vertical_down: -Math.PI / 2 // Inlet at the top
+};
+
+/**
+ * Length of the straight pipe shown on each side of the valve in pipeline mode.
+ * @param {Object} dims - Dimensions from getValveDimensions().
+ * @returns {number} Length in mm.
+ */
+function getPipeRunLength(dims) {
+    return 2 * dims.dn + 150;
+}
+
+/**
+ * Creates a straight pipe of the valve's size along X.
+ * @param {Object} dims - Dimensions from getValveDimensions().
+ * @param {number} start - X of the pipe end nearest the valve.
+ * @param {number} end - X of the far pipe end.
+ * @returns {THREE.BufferGeometry}
+ */
+function createPipeGeometry(dims, start, end) {
+    const geometry = createTubeGeometry(dims.pipeRadius, dims.boreRadius, Math.abs(end - start));
+    geometry.rotateZ(-Math.PI / 2);
+    geometry.translate((start + end) / 2, 0, 0);
+    return geometry;
+}
 
 /**
- * Initializes the Three.js scene, camera, renderer, and orbit controls.
- * This function is called once when the page loads.
+ * Builds the pipe run the valve is installed in: upstream and downstream pipe of the same DN, joined to
+ * the valve the way its connection type requires, and an optional flow-direction arrow.
+ * The pipeline is in model coordinates, so it rotates with the valve in the installation group.
+ * @param {THREE.Object3D} model - A model built by buildValveModel.
+ * @param {boolean} showArrow - Whether to add the flow-direction arrow.
+ * @returns {THREE.Group}
  */
-function init3D() {
-    console.log("init3D called: Initializing 3D scene.");
-    const container = document.getElementById('container3D');
-    if (!container) {
-        console.error("Error: #container3D not found in the DOM.");
+function createPipeline(model, showArrow) {
+    const { dims, endFace, connectionType } = model.userData;
+    const runLength = getPipeRunLength(dims);
+    const pipeline = new THREE.Group();
+    pipeline.name = 'pipeline';
+    const material = new THREE.MeshStandardMaterial({ name: 'pipe', color: 0x8c9093, metalness: 0.7, roughness: 0.5, side: THREE.DoubleSide });
+    const endLength = getEndConnectionLength(connectionType, dims);
+
+    ['inlet', 'outlet'].forEach(side => {
+        const direction = side === 'inlet' ? -1 : 1;
+        const face = direction * endFace;
+        let pipeStart = face;
+
+        switch (connectionType) {
+            case 'threaded':
+            case 'socket_welding':
+                // Pipe screwed or pushed most of the way into the valve end
+                pipeStart = face - direction * endLength * 0.7;
+                break;
+            case 'butt_welding': {
+                const bead = addPart(pipeline, `weld_bead_${side}`, sharedGeometry(THREE.TorusGeometry, dims.pipeRadius, Math.max(1, (dims.pipeRadius - dims.boreRadius) * 0.4), 8, 32), material);
+                bead.rotation.y = Math.PI / 2;
+                bead.position.x = face;
+                break;
+            }
+            default: {
+                // Flanged valves and wafer bodies are bolted between a pair of pipe flanges
+                const flange = createEndConnection('flanged', dims, material);
+                flange.name = `pipe_flange_${side}`;
+                flange.position.x = face;
+                if (direction < 0) flange.rotation.y = Math.PI;
+                pipeline.add(flange);
+                pipeStart = face + direction * dims.flangeThickness;
+            }
+        }
+        addPart(pipeline, `pipe_${side}`, createPipeGeometry(dims, pipeStart, direction * (endFace + runLength)), material);
+    });
+
+    if (showArrow) {
+        const arrowMaterial = new THREE.MeshStandardMaterial({ name: 'flow_arrow', color: 0x0d6efd, metalness: 0, roughness: 0.6 });
+        const arrowLength = runLength * 0.6;
+        const headLength = Math.max(dims.pipeRadius * 0.6, arrowLength * 0.25);
+        const shaftRadius = Math.max(dims.pipeRadius * 0.08, 2);
+        const arrow = new THREE.Group();
+        arrow.name = 'flow_arrow';
+        const shaft = addPart(arrow, 'shaft', sharedGeometry(THREE.CylinderGeometry, shaftRadius, shaftRadius, arrowLength - headLength, 12), arrowMaterial);
+        shaft.position.y = (arrowLength - headLength) / 2;
+        const head = addPart(arrow, 'head', sharedGeometry(THREE.ConeGeometry, shaftRadius * 3, headLength, 16), arrowMaterial);
+        head.position.y = arrowLength - headLength / 2;
+        // Alongside the upstream pipe, in front of it, pointing downstream
+        arrow.rotation.z = -Math.PI / 2;
+        arrow.position.set(-endFace - runLength * 0.8, 0, dims.flangeRadius * 1.3);
+        pipeline.add(arrow);
+    }
+    return pipeline;
+}
+
+/**
+ * Rebuilds the pipe run around the current model and applies the pipeline orientation,
+ * or removes it when pipeline mode is off.
+ */
+function updatePipeline() {
+    if (pipelineState.pipeline) {
+        installation.remove(pipelineState.pipeline);
+        disposeModel(pipelineState.pipeline);
+        pipelineState.pipeline = null;
+    }
+    if (pipelineState.floor) {
+        scene.remove(pipelineState.floor);
+        pipelineState.floor.geometry.dispose();
+        pipelineState.floor.material.dispose();
+        pipelineState.floor = null;
+    }
+    installation.rotation.z = pipelineState.enabled ? PIPELINE_ORIENTATIONS[pipelineState.orientation] : 0;
+    if (compareState.installation) compareState.installation.rotation.copy(installation.rotation);
+    if (!pipelineState.enabled || !currentModel) return;
+
+    pipelineState.pipeline = createPipeline(currentModel, pipelineState.showArrow);
+    installation.add(pipelineState.pipeline);
+
+    // Floor grid below the installation, so vertical and horizontal lines read differently
+    const box = new THREE.Box3().setFromObject(installation);
+    const size = box.getSize(new THREE.Vector3());
+    const floor = new THREE.GridHelper(Math.max(size.x, size.z) * 1.5, 12, 0xb0b0b0, 0xd8d8d8);
+    floor.name = 'floor';
+    floor.position.set((box.min.x + box.max.x) / 2, box.min.y - currentModel.userData.dims.dn * 0.2, (box.min.z + box.max.z) / 2);
+    pipelineState.floor = floor;
+    scene.add(floor);
+}
+
+/**
+ * Changes the pipeline mode settings and refits the view.
+ * @param {Object} settings - Any of enabled, orientation (see PIPELINE_ORIENTATIONS) and showArrow.
+ */
+function setPipeline(settings) {
+    Object.assign(pipelineState, settings);
+    updatePipeline();
+    updateFlowParticles();
+    updateDimensionAnnotations();
+    // The measure points are in world coordinates and do not turn with the installation
+    clearMeasurement();
+    if (currentModel) frameCameraOnModel(installation);
+    requestRender();
+}
+
+/**
+ * Creates a text label drawn on a canvas that always faces the camera and is drawn over the model.
+ * @param {string} text - Label text.
+ * @param {number} height - Height of the label in mm.
+ * @returns {THREE.Sprite|null} The label, or null if the browser cannot draw on a canvas.
+ */
+function createLabelSprite(text, height) {
+    const canvas = document.createElement('canvas');
+    const context = canvas.getContext('2d');
+    if (!context) return null;
+    const font = 'bold 40px sans-serif';
+    context.font = font;
+    canvas.width = Math.ceil(context.measureText(text).width) + 24;
+    canvas.height = 56;
+    // Resizing the canvas resets the context
+    context.font = font;
+    context.fillStyle = 'rgba(255, 255, 255, 0.85)';
+    context.fillRect(0, 0, canvas.width, canvas.height);
+    context.fillStyle = `#${ANNOTATION_COLOR.toString(16).padStart(6, '0')}`;
+    context.textAlign = 'center';
+    context.textBaseline = 'middle';
+    context.fillText(text, canvas.width / 2, canvas.height / 2);
+
+    const sprite = new THREE.Sprite(new THREE.SpriteMaterial({ map: new THREE.CanvasTexture(canvas), depthTest: false }));
+    sprite.scale.set(height * canvas.width / canvas.height, height, 1);
+    sprite.renderOrder = 3;
+    return sprite;
+}
+
+/**
+ * Frees the geometries, materials and label textures of an annotation overlay.
+ * Sprites share one geometry in three.js, so only their materials are disposed.
+ * @param {THREE.Object3D} overlay - Dimension lines or measurement (see createDimensionAnnotations).
+ */
+function disposeOverlay(overlay) {
+    overlay.traverse((object) => {
+        if (!object.material) return;
+        if (object.material.map) object.material.map.dispose();
+        object.material.dispose();
+        if (!object.isSprite) object.geometry.dispose();
+    });
+}
+
+/**
+ * Adds a dimension between two points: extension lines from the points to the dimension line,
+ * the dimension line with oblique ticks at both ends, and the label beside its middle.
+ * @param {THREE.Group} group - The group the dimension is added to.
+ * @param {THREE.Vector3} start - First measured point.
+ * @param {THREE.Vector3} end - Second measured point.
+ * @param {THREE.Vector3} offset - Offset from the measured points to the dimension line.
+ * @param {string} text - Label text.
+ * @param {number} labelHeight - Height of the label in mm; the ticks are sized from it too.
+ */
+function addDimension(group, start, end, offset, text, labelHeight) {
+    const lineStart = start.clone().add(offset);
+    const lineEnd = end.clone().add(offset);
+    const outward = offset.clone().normalize();
+    const tick = lineEnd.clone().sub(lineStart).normalize().add(outward).multiplyScalar(labelHeight * 0.25);
+    const overshoot = outward.clone().multiplyScalar(labelHeight * 0.3);
+    const points = [
+        start, lineStart.clone().add(overshoot),
+        end, lineEnd.clone().add(overshoot),
+        lineStart, lineEnd,
+        lineStart.clone().sub(tick), lineStart.clone().add(tick),
+        lineEnd.clone().sub(tick), lineEnd.clone().add(tick)
+    ];
+    const lines = new THREE.LineSegments(
+        new THREE.BufferGeometry().setFromPoints(points),
+        new THREE.LineBasicMaterial({ color: ANNOTATION_COLOR, depthTest: false })
+    );
+    lines.renderOrder = 2;
+    group.add(lines);
+
+    const label = createLabelSprite(text, labelHeight);
+    if (label) {
+        label.position.copy(lineStart).lerp(lineEnd, 0.5).addScaledVector(outward, labelHeight);
+        group.add(label);
+    }
+}
+
+/**
+ * Creates the dimension lines of a model, in model coordinates and measured in its closed position:
+ * face-to-face length below the valve, flange outside diameter beside the outlet flange, height from
+ * the pipe axis to the top of the actuator or operator, and the diameter of the handwheel.
+ * @param {THREE.Group} model - A model built by buildValveModel.
+ * @returns {THREE.Group}
+ */
+function createDimensionAnnotations(model) {
+    const { dims, endFace, connectionType, estimate } = model.userData;
+    const { bounds } = estimate;
+    const size = bounds.getSize(new THREE.Vector3());
+    const spacing = Math.max(size.x, size.y, size.z) * 0.08;
+    const labelHeight = spacing * 0.5;
+    const annotations = new THREE.Group();
+    annotations.name = 'dimensions';
+
+    addDimension(annotations,
+        new THREE.Vector3(-endFace, bounds.min.y, 0), new THREE.Vector3(endFace, bounds.min.y, 0),
+        new THREE.Vector3(0, -spacing, 0), `L ${Math.round(endFace * 2)} mm`, labelHeight);
+    if (connectionType === 'flanged') {
+        addDimension(annotations,
+            new THREE.Vector3(bounds.max.x, -dims.flangeRadius, 0), new THREE.Vector3(bounds.max.x, dims.flangeRadius, 0),
+            new THREE.Vector3(spacing, 0, 0), `Ø${Math.round(dims.flangeRadius * 2)} mm`, labelHeight);
+    }
+    addDimension(annotations,
+        new THREE.Vector3(bounds.min.x, 0, 0), new THREE.Vector3(bounds.min.x, bounds.max.y, 0),
+        new THREE.Vector3(-spacing, 0, 0), `H ${Math.round(bounds.max.y)} mm`, labelHeight);
+
+    // Handwheels are tori, so their diameter is the larger horizontal extent of their bounding box
+    const handwheel = model.getObjectByName('handwheel') || model.getObjectByName('gearbox_handwheel');
+    if (handwheel) {
+        model.updateMatrixWorld(true);
+        const toModel = new THREE.Matrix4().copy(model.matrixWorld).invert().multiply(handwheel.matrixWorld);
+        if (!handwheel.geometry.boundingBox) handwheel.geometry.computeBoundingBox();
+        const box = handwheel.geometry.boundingBox.clone().applyMatrix4(toModel);
+        const top = box.max.y;
+        const [start, end] = box.max.x - box.min.x >= box.max.z - box.min.z
+            ? [new THREE.Vector3(box.min.x, top, 0), new THREE.Vector3(box.max.x, top, 0)]
+            : [new THREE.Vector3(0, top, box.min.z), new THREE.Vector3(0, top, box.max.z)];
+        addDimension(annotations, start, end, new THREE.Vector3(0, spacing, 0),
+            `Ø${Math.round(start.distanceTo(end))} mm`, labelHeight);
+    }
+    return annotations;
+}
+
+/**
+ * Rebuilds the dimension lines for the current model and pipeline orientation,
+ * or removes them when they are switched off.
+ */
+function updateDimensionAnnotations() {
+    if (dimensionState.annotations) {
+        scene.remove(dimensionState.annotations);
+        disposeOverlay(dimensionState.annotations);
+        dimensionState.annotations = null;
+    }
+    if (dimensionState.enabled && currentModel) {
+        // In the scene rather than the installation, so they do not count towards the floor and the framed view
+        dimensionState.annotations = createDimensionAnnotations(currentModel);
+        dimensionState.annotations.rotation.copy(installation.rotation);
+        scene.add(dimensionState.annotations);
+    }
+    requestRender();
+}
+
+/**
+ * Shows or hides the dimension lines.
+ * @param {boolean} enabled
+ */
+function setDimensionsEnabled(enabled) {
+    dimensionState.enabled = enabled;
+    updateDimensionAnnotations();
+}
+
+/**
+ * Switches the measure tool on or off. While it is on, clicks on the model pick measure points
+ * instead of parts.
+ * @param {boolean} enabled
+ */
+function setMeasureEnabled(enabled) {
+    measureState.enabled = enabled;
+    clearPartSelection();
+    clearMeasurement();
+}
+
+/**
+ * Removes the measure points and the measurement shown for them.
+ */
+function clearMeasurement() {
+    measureState.points = [];
+    updateMeasurement();
+}
+
+/**
+ * Adds a measure point at the vertex of the current model nearest to where the pointer hits it.
+ * A third point starts a new measurement.
+ * @param {number} clientX - Pointer X in client coordinates.
+ * @param {number} clientY - Pointer Y in client coordinates.
+ */
+function addMeasurePoint(clientX, clientY) {
+    const hit = intersectModel(clientX, clientY);
+    if (!hit || hit.model !== currentModel || !hit.face) return;
+
+    const position = hit.object.geometry.attributes.position;
+    let nearest = null;
+    [hit.face.a, hit.face.b, hit.face.c].forEach((index) => {
+        const vertex = new THREE.Vector3().fromBufferAttribute(position, index).applyMatrix4(hit.object.matrixWorld);
+        if (!nearest || vertex.distanceTo(hit.point) < nearest.distanceTo(hit.point)) nearest = vertex;
+    });
+    if (measureState.points.length === 2) measureState.points = [];
+    measureState.points.push(nearest);
+    updateMeasurement();
+}
+
+/**
+ * Redraws the measure points, the line between them and its length, and shows the length next to the measure switch.
+ */
+function updateMeasurement() {
+    if (measureState.overlay) {
+        scene.remove(measureState.overlay);
+        disposeOverlay(measureState.overlay);
+        measureState.overlay = null;
+    }
+    const { enabled, points } = measureState;
+    const result = document.getElementById('measureResult');
+    if (result) {
+        result.textContent = !enabled ? ''
+            : points.length === 2 ? `${points[0].distanceTo(points[1]).toFixed(1)} mm`
+            : points.length === 1 ? 'Pick the second point'
+            : 'Pick two points on the valve';
+    }
+    if (!points.length || !currentModel) {
+        requestRender();
         return;
     }
 
-    scene = new THREE.Scene();
-    scene.background = new THREE.Color(0xf0f0f0);
+    const { bounds } = currentModel.userData.estimate;
+    const modelSize = bounds.getSize(new THREE.Vector3());
+    const markerRadius = Math.max(modelSize.x, modelSize.y, modelSize.z) * 0.008;
+    const overlay = new THREE.Group();
+    overlay.name = 'measurement';
+    points.forEach((point) => {
+        const marker = new THREE.Mesh(
+            new THREE.SphereGeometry(markerRadius, 12, 8),
+            new THREE.MeshBasicMaterial({ color: ANNOTATION_COLOR, depthTest: false })
+        );
+        marker.position.copy(point);
+        marker.renderOrder = 2;
+        overlay.add(marker);
+    });
+    if (points.length === 2) {
+        const line = new THREE.Line(
+            new THREE.BufferGeometry().setFromPoints(points),
+            new THREE.LineBasicMaterial({ color: ANNOTATION_COLOR, depthTest: false })
+        );
+        line.renderOrder = 2;
+        overlay.add(line);
+        const label = createLabelSprite(`${points[0].distanceTo(points[1]).toFixed(1)} mm`, markerRadius * 6);
+        if (label) {
+            label.position.copy(points[0]).lerp(points[1], 0.5);
+            label.center.set(0.5, -0.3);
+            overlay.add(label);
+        }
+    }
+    measureState.overlay = overlay;
+    scene.add(overlay);
+    requestRender();
+}
 
-    camera = new THREE.PerspectiveCamera(75, container.clientWidth / container.clientHeight, 0.1, 1000);
-    camera.position.set(0, 0, 5);
+/**
+ * Builds a download file name from the configuration, e.g. "valve_on-off_gate_DN100_stainless-steel_pneumatic.glb".
+ * @param {Object} config - Valve configuration the model was built from.
+ * @param {number} nominalDiameter - Nominal diameter of the model in mm.
+ * @param {string} extension - File extension without the dot.
+ * @returns {string}
+ */
+function getExportFileName(config, nominalDiameter, extension) {
+    const slug = (value) => String(value).replace(/[^A-Za-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+    const parts = ['valve', config.valveFunction, config.valveFamily, `DN${Math.round(nominalDiameter)}`, config.bodyMaterial, config.actuationType];
+    return `${parts.filter(Boolean).map(slug).join('_')}.${extension}`;
+}
 
-    renderer = new THREE.WebGLRenderer({ antialias: true });
-    renderer.setSize(container.clientWidth, container.clientHeight);
-    container.innerHTML = ''; // Clear any initial text
-    container.appendChild(renderer.domElement);
+/**
+ * Lets the browser save a generated file.
+ * @param {Blob} blob - File contents.
+ * @param {string} fileName - Suggested file name.
+ */
+function downloadBlob(blob, fileName) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
 
-    const ambientLight = new THREE.AmbientLight(0x404040);
-    scene.add(ambientLight);
-    const directionalLight = new THREE.DirectionalLight(0xffffff, 0.8);
-    directionalLight.position.set(1, 1, 1).normalize();
-    scene.add(directionalLight);
+/**
+ * Exports the model shown in the viewer as glTF 2.0, either binary (.glb) or JSON (.gltf).
+ * Part names (body, flange_inlet, stem...) and materials are kept; the model is scaled from mm to metres,
+ * the unit glTF uses.
+ * @param {string} format - 'glb' or 'gltf'.
+ */
+function exportModelAsGltf(format) {
+    if (!currentModel || !currentConfig) return;
+    if (typeof THREE.GLTFExporter === 'undefined') {
+        console.error("Error: GLTFExporter is not loaded.");
+        return;
+    }
 
-    controls = new THREE.OrbitControls(camera, renderer.domElement);
-    controls.enableDamping = true;
-    controls.dampingFactor = 0.25;
-    controls.screenSpacePanning = false;
-    controls.minDistance = 2;
-    controls.maxDistance = 10;
+    const fileName = getExportFileName(currentConfig, currentModel.userData.dims.dn, format);
+    const exportRoot = new THREE.Group();
+    exportRoot.name = fileName.replace(/\.[^.]+$/, '');
+    exportRoot.scale.setScalar(0.001);
+    exportRoot.add(currentModel.clone());
 
-    window.addEventListener('resize', onWindowResize, false);
-    console.log("3D scene initialized successfully.");
+    const exporter = new THREE.GLTFExporter();
+    exporter.parse(exportRoot, function(result) {
+        const blob = format === 'glb'
+            ? new Blob([result], { type: 'model/gltf-binary' })
+            : new Blob([JSON.stringify(result)], { type: 'model/gltf+json' });
+        downloadBlob(blob, fileName);
+        console.log(`Model exported as ${fileName}.`);
+    }, { binary: format === 'glb' });
 }
 
 /**
- * Handles window resizing to keep the 3D viewer responsive.
+ * Copies a part's geometry into model space as a closed, indexed triangle mesh suitable for 3D printing:
+ * coincident vertices are welded, degenerate triangles (lathe axes, sphere poles) are dropped and
+ * mirrored parts get their winding flipped so normals keep pointing outward.
+ * @param {THREE.BufferGeometry} geometry - The part geometry.
+ * @param {THREE.Matrix4} matrixWorld - The part's transform relative to the model.
+ * @returns {THREE.BufferGeometry}
  */
-function onWindowResize() {
-    const container = document.getElementById('container3D');
-    if (container) {
-        camera.aspect = container.clientWidth / container.clientHeight;
-        camera.updateProjectionMatrix();
-        renderer.setSize(container.clientWidth, container.clientHeight);
+function createWatertightGeometry(geometry, matrixWorld) {
+    let welded = new THREE.BufferGeometry();
+    welded.setAttribute('position', geometry.getAttribute('position').clone());
+    if (geometry.index) {
+        welded.setIndex(geometry.index.clone());
+    }
+    welded.applyMatrix4(matrixWorld);
+    welded = THREE.BufferGeometryUtils.mergeVertices(welded, 1e-3);
+
+    const flip = matrixWorld.determinant() < 0;
+    const source = welded.index.array;
+    const triangles = [];
+    for (let i = 0; i < source.length; i += 3) {
+        const a = source[i];
+        const b = source[i + 1];
+        const c = source[i + 2];
+        if (a === b || b === c || a === c) continue;
+        if (flip) {
+            triangles.push(a, c, b);
+        } else {
+            triangles.push(a, b, c);
+        }
     }
+    welded.setIndex(triangles);
+    welded.computeVertexNormals();
+    return welded;
 }
 
 /**
- * Animation loop for Three.js.
- * Continuously renders the scene and updates controls.
+ * Counts the open (boundary) edges of a welded triangle mesh: edges not matched by the opposite edge of
+ * a neighbouring triangle. A closed mesh that can be printed has none.
+ * @param {THREE.BufferGeometry} geometry - Indexed geometry from createWatertightGeometry.
+ * @returns {number}
  */
-function animate3D() {
-    requestAnimationFrame(animate3D);
-    controls.update();
-    renderer.render(scene, camera);
+function countOpenEdges(geometry) {
+    const index = geometry.index.array;
+    const edges = new Map();
+    for (let i = 0; i < index.length; i += 3) {
+        for (let k = 0; k < 3; k++) {
+            const key = `${index[i + k]}_${index[i + (k + 1) % 3]}`;
+            edges.set(key, (edges.get(key) || 0) + 1);
+        }
+    }
+    let open = 0;
+    edges.forEach((count, key) => {
+        const [a, b] = key.split('_');
+        if ((edges.get(`${b}_${a}`) || 0) !== count) open++;
+    });
+    return open;
 }
 
 /**
- * Defines material colors based on common valve materials.
- * @param {string} materialType - The selected body and bonnet material.
- * @returns {number} Hexadecimal color code.
+ * Exports the model shown in the viewer for 3D printing or legacy CAD, as binary STL or OBJ.
+ * Coordinates are real millimetres (the viewer already models in mm) and every part should be a closed
+ * mesh; parts that are not are named in a warning next to the export menu.
+ * @param {string} format - 'stl' or 'obj'.
  */
-function getMaterialColor(materialType) {
-    switch (materialType) {
-        case 'cast_iron': return 0x808080; // Gray
-        case 'ductile_iron': return 0x696969; // Darker Gray
-        case 'carbon_steel': return 0x404040; // Even Darker Gray
-        case 'stainless_steel':
-        case 'stainless_steel_310': return 0xc0c0c0; // Silver/Light Gray
-        case 'brass': return 0xb5a642; // Brass color
-        case 'bronze': return 0xcd7f32; // Bronze color
-        case 'plastic': return 0x90ee90; // Light Green
-        case 'duplex_super_duplex': return 0x87ceeb; // Light Blue
-        default: return 0xaaaaaa; // Default gray
+function exportModelForPrinting(format) {
+    if (!currentModel || !currentConfig) return;
+    if (typeof THREE.BufferGeometryUtils === 'undefined' ||
+        (format === 'stl' && typeof THREE.STLExporter === 'undefined') ||
+        (format === 'obj' && typeof THREE.OBJExporter === 'undefined')) {
+        console.error(`Error: exporter for ${format.toUpperCase()} is not loaded.`);
+        return;
+    }
+
+    currentModel.updateMatrixWorld(true);
+    // Export in model coordinates, whatever the pipeline orientation
+    const modelInverse = currentModel.matrixWorld.clone().invert();
+    const printable = new THREE.Group();
+    printable.name = currentModel.name;
+    const geometries = [];
+    const openParts = [];
+    currentModel.traverse((object) => {
+        if (!object.isMesh) return;
+        const geometry = createWatertightGeometry(object.geometry, new THREE.Matrix4().multiplyMatrices(modelInverse, object.matrixWorld));
+        const part = new THREE.Mesh(geometry, object.material);
+        // Parts inside an end connection are named after it, e.g. flange_inlet_flange
+        part.name = object.parent === currentModel ? object.name : `${object.parent.name}_${object.name}`;
+        if (countOpenEdges(geometry) > 0) openParts.push(part.name);
+        printable.add(part);
+        geometries.push(geometry);
+    });
+    showExportWarning(openParts.length
+        ? `Not watertight: ${openParts.join(', ')} ${openParts.length === 1 ? 'has' : 'have'} open edges and may not print. Check the mesh before slicing.`
+        : '');
+    printable.updateMatrixWorld(true);
+
+    const fileName = getExportFileName(currentConfig, currentModel.userData.dims.dn, format);
+    let blob;
+    if (format === 'stl') {
+        const result = new THREE.STLExporter().parse(printable, { binary: true });
+        blob = new Blob([result], { type: 'model/stl' });
+    } else {
+        const result = new THREE.OBJExporter().parse(printable);
+        blob = new Blob([result], { type: 'model/obj' });
     }
+    geometries.forEach(geometry => geometry.dispose());
+
+    downloadBlob(blob, fileName);
+    console.log(`Model exported as ${fileName}.`);
 }
 
 /**
- * Creates a 3D model based on valve type, material, and actuation.
- * This uses procedural geometry to represent different valve forms and actuators.
- * @param {string} valveFunction - The selected main function of the valve.
- * @param {string} bodyMaterial - The selected body and bonnet material.
- * @param {string} actuationType - The selected actuation type (manual, electric, pneumatic).
+ * Shows a warning about the last export next to the export menu, or hides it.
+ * @param {string} message - The warning, or '' to hide it.
  */
-function update3DModel(valveFunction, bodyMaterial, actuationType) {
-    console.log(`update3DModel called with: Function=${valveFunction}, Material=${bodyMaterial}, Actuation=${actuationType}`);
+function showExportWarning(message) {
+    const warning = document.getElementById('exportWarning');
+    if (message) console.warn(message);
+    if (!warning) return;
+    warning.textContent = message;
+    warning.classList.toggle('d-none', !message);
+}
 
-    // Remove previous model if it exists
-    if (currentModel) {
-        scene.remove(currentModel);
-        currentModel.traverse((object) => {
-            if (object.isMesh) {
-                object.geometry.dispose();
-                object.material.dispose();
-            }
-        });
-        console.log("Previous model removed.");
+/**
+ * Exports the model shown in the viewer in the chosen format.
+ * @param {string} format - 'glb', 'gltf', 'stl' or 'obj'.
+ */
+function exportModel(format) {
+    if (format === 'stl' || format === 'obj') {
+        exportModelForPrinting(format);
+    } else {
+        exportModelAsGltf(format);
     }
+}
 
-    const valveGroup = new THREE.Group();
-    const materialColor = getMaterialColor(bodyMaterial);
-    const valveMaterial = new THREE.MeshPhongMaterial({ color: materialColor });
-
-    let bodyGeometry, mainPart;
-
-    // Create a new model based on the valve type
-    switch (valveFunction) {
-        case 'on_off':
-            bodyGeometry = new THREE.BoxGeometry(1.8, 1.2, 1.2);
-            mainPart = new THREE.Mesh(bodyGeometry, valveMaterial);
-            valveGroup.add(mainPart);
-
-            const flangeGeometry = new THREE.CylinderGeometry(1.0, 1.0, 0.2, 32);
-            const flange1 = new THREE.Mesh(flangeGeometry, valveMaterial);
-            flange1.rotation.z = Math.PI / 2;
-            flange1.position.x = 1.0;
-            valveGroup.add(flange1);
-
-            const flange2 = new THREE.Mesh(flangeGeometry, valveMaterial);
-            flange2.rotation.z = Math.PI / 2;
-            flange2.position.x = -1.0;
-            valveGroup.add(flange2);
-
-            const stemGeometry = new THREE.CylinderGeometry(0.1, 0.1, 1.0, 16);
-            const stemMesh = new THREE.Mesh(stemGeometry, valveMaterial);
-            stemMesh.position.y = 0.8;
-            valveGroup.add(stemMesh);
-
-            // Actuator based on type
-            if (actuationType === 'manual') {
-                const handwheelGeometry = new THREE.TorusGeometry(0.4, 0.05, 16, 32);
-                const handwheelMesh = new THREE.Mesh(handwheelGeometry, new THREE.MeshPhongMaterial({ color: 0x666666 }));
-                handwheelMesh.position.y = 1.5;
-                handwheelMesh.rotation.x = Math.PI / 2;
-                valveGroup.add(handwheelMesh);
-            } else if (actuationType === 'electric') {
-                const electricBaseGeometry = new THREE.BoxGeometry(0.8, 0.4, 0.8);
-                const electricBase = new THREE.Mesh(electricBaseGeometry, new THREE.MeshPhongMaterial({ color: 0x8b0000 })); // Dark Red
-                electricBase.position.y = 1.2;
-                valveGroup.add(electricBase);
-
-                const electricTopGeometry = new THREE.CylinderGeometry(0.3, 0.3, 0.5, 16);
-                const electricTop = new THREE.Mesh(electricTopGeometry, new THREE.MeshPhongMaterial({ color: 0x4b0000 })); // Even darker red
-                electricTop.position.y = 1.6;
-                valveGroup.add(electricTop);
-            } else if (actuationType === 'pneumatic') {
-                const pneumaticCylinderGeometry = new THREE.CylinderGeometry(0.6, 0.6, 0.8, 32);
-                const pneumaticCylinder = new THREE.Mesh(pneumaticCylinderGeometry, new THREE.MeshPhongMaterial({ color: 0x008000 })); // Dark Green
-                pneumaticCylinder.position.y = 1.3;
-                valveGroup.add(pneumaticCylinder);
-
-                const pneumaticCapGeometry = new THREE.CylinderGeometry(0.65, 0.65, 0.1, 32);
-                const pneumaticCap = new THREE.Mesh(pneumaticCapGeometry, new THREE.MeshPhongMaterial({ color: 0x006400 })); // Even darker green
-                pneumaticCap.position.y = 1.75;
-                valveGroup.add(pneumaticCap);
-            }
-            break;
+// SVG namespace of the 2D schematic
+const SVG_NS = 'http://www.w3.org/2000/svg';
+// Controls that only apply to the 3D viewer, hidden in the 2D schematic
+const VIEWER_CONTROL_IDS = ['viewControls', 'strokeControls', 'cutawayControls', 'pipelineControls', 'annotationControls'];
 
-        case 'regulation':
-            bodyGeometry = new THREE.SphereGeometry(1.0, 32, 32);
-            mainPart = new THREE.Mesh(bodyGeometry, valveMaterial);
-            valveGroup.add(mainPart);
-
-            const pipeGeometry = new THREE.CylinderGeometry(0.4, 0.4, 1.5, 32);
-            const pipe1 = new THREE.Mesh(pipeGeometry, valveMaterial);
-            pipe1.rotation.z = Math.PI / 2;
-            pipe1.position.x = 1.2;
-            valveGroup.add(pipe1);
-
-            const pipe2 = new THREE.Mesh(pipeGeometry, valveMaterial);
-            pipe2.rotation.z = Math.PI / 2;
-            pipe2.position.x = -1.2;
-            valveGroup.add(pipe2);
-
-            const stemGeometryReg = new THREE.CylinderGeometry(0.1, 0.1, 1.0, 16);
-            const stemMeshReg = new THREE.Mesh(stemGeometryReg, valveMaterial);
-            stemMeshReg.position.y = 0.8;
-            valveGroup.add(stemMeshReg);
-
-            // Actuator based on type
-            if (actuationType === 'manual') {
-                const handwheelGeometry = new THREE.TorusGeometry(0.4, 0.05, 16, 32);
-                const handwheelMeshReg = new THREE.Mesh(handwheelGeometry, new THREE.MeshPhongMaterial({ color: 0x666666 }));
-                handwheelMeshReg.position.y = 1.5;
-                handwheelMeshReg.rotation.x = Math.PI / 2;
-                valveGroup.add(handwheelMeshReg);
-            } else if (actuationType === 'electric') {
-                const electricBaseGeometry = new THREE.BoxGeometry(0.8, 0.4, 0.8);
-                const electricBase = new THREE.Mesh(electricBaseGeometry, new THREE.MeshPhongMaterial({ color: 0x8b0000 }));
-                electricBase.position.y = 1.2;
-                valveGroup.add(electricBase);
-
-                const electricTopGeometry = new THREE.CylinderGeometry(0.3, 0.3, 0.5, 16);
-                const electricTop = new THREE.Mesh(electricTopGeometry, new THREE.MeshPhongMaterial({ color: 0x4b0000 }));
-                electricTop.position.y = 1.6;
-                valveGroup.add(electricTop);
-            } else if (actuationType === 'pneumatic') {
-                const pneumaticCylinderGeometry = new THREE.CylinderGeometry(0.6, 0.6, 0.8, 32);
-                const pneumaticCylinder = new THREE.Mesh(pneumaticCylinderGeometry, new THREE.MeshPhongMaterial({ color: 0x008000 }));
-                pneumaticCylinder.position.y = 1.3;
-                valveGroup.add(pneumaticCylinder);
-
-                const pneumaticCapGeometry = new THREE.CylinderGeometry(0.65, 0.65, 0.1, 32);
-                const pneumaticCap = new THREE.Mesh(pneumaticCapGeometry, new THREE.MeshPhongMaterial({ color: 0x006400 }));
-                pneumaticCap.position.y = 1.75;
-                valveGroup.add(pneumaticCap);
-            }
-            break;
+/**
+ * Replaces the 3D viewer with a 2D schematic of the configuration when WebGL is unavailable.
+ * Models are still built, to draw them and estimate their weight, but never rendered.
+ * @param {HTMLElement} container - The viewer container.
+ */
+function initSchematicView(container) {
+    container.classList.add('flex-column');
+    const notice = document.createElement('p');
+    notice.className = 'small text-muted text-center mb-2';
+    notice.textContent = '3D view is not available in this browser (WebGL is disabled). Showing a 2D schematic instead.';
+    container.appendChild(notice);
+    schematicView = document.createElement('div');
+    schematicView.id = 'valveSchematic';
+    schematicView.className = 'valve-schematic w-100 flex-grow-1';
+    container.appendChild(schematicView);
 
-        case 'on_off_regulation':
-            bodyGeometry = new THREE.CylinderGeometry(1.0, 1.0, 0.8, 32);
-            mainPart = new THREE.Mesh(bodyGeometry, valveMaterial);
-            mainPart.rotation.z = Math.PI / 2;
-            valveGroup.add(mainPart);
-
-            const discGeometry = new THREE.CylinderGeometry(0.9, 0.9, 0.1, 32);
-            const discMaterial = new THREE.MeshPhongMaterial({ color: 0x555555 });
-            const discMesh = new THREE.Mesh(discGeometry, discMaterial);
-            discMesh.rotation.z = Math.PI / 2;
-            valveGroup.add(discMesh);
-
-            // Actuator (positioned differently for butterfly)
-            if (actuationType === 'manual') {
-                const leverGeometry = new THREE.BoxGeometry(0.2, 1.0, 0.2);
-                const leverMesh = new THREE.Mesh(leverGeometry, new THREE.MeshPhongMaterial({ color: 0x666666 }));
-                leverMesh.position.y = 0.8;
-                leverMesh.position.x = 0.2;
-                valveGroup.add(leverMesh);
-            } else if (actuationType === 'electric') {
-                const electricBaseGeometry = new THREE.BoxGeometry(0.8, 0.4, 0.8);
-                const electricBase = new THREE.Mesh(electricBaseGeometry, new THREE.MeshPhongMaterial({ color: 0x8b0000 }));
-                electricBase.position.y = 0.8;
-                valveGroup.add(electricBase);
-
-                const electricTopGeometry = new THREE.CylinderGeometry(0.3, 0.3, 0.5, 16);
-                const electricTop = new THREE.Mesh(electricTopGeometry, new THREE.MeshPhongMaterial({ color: 0x4b0000 }));
-                electricTop.position.y = 1.2;
-                valveGroup.add(electricTop);
-            } else if (actuationType === 'pneumatic') {
-                const pneumaticCylinderGeometry = new THREE.CylinderGeometry(0.6, 0.6, 0.8, 32);
-                const pneumaticCylinder = new THREE.Mesh(pneumaticCylinderGeometry, new THREE.MeshPhongMaterial({ color: 0x008000 }));
-                pneumaticCylinder.position.y = 0.8;
-                valveGroup.add(pneumaticCylinder);
-
-                const pneumaticCapGeometry = new THREE.CylinderGeometry(0.65, 0.65, 0.1, 32);
-                const pneumaticCap = new THREE.Mesh(pneumaticCapGeometry, new THREE.MeshPhongMaterial({ color: 0x006400 }));
-                pneumaticCap.position.y = 1.25;
-                valveGroup.add(pneumaticCap);
-            }
-            break;
+    VIEWER_CONTROL_IDS.forEach((id) => {
+        const controls = document.getElementById(id);
+        if (controls) controls.classList.add('d-none');
+    });
+}
 
-        default:
-            console.log("No specific valve function selected for 3D model. Clearing 3D view.");
-            if (currentModel) {
-                scene.remove(currentModel);
-                currentModel.traverse((object) => {
-                    if (object.isMesh) {
-                        object.geometry.dispose();
-                        object.material.dispose();
-                    }
-                });
-                currentModel = null;
-            }
-            return;
+/**
+ * Creates an SVG element with its attributes.
+ * @param {string} tag - Element name.
+ * @param {Object} attributes - Attribute names and values.
+ * @returns {SVGElement}
+ */
+function createSvgElement(tag, attributes) {
+    const element = document.createElementNS(SVG_NS, tag);
+    Object.entries(attributes).forEach(([name, value]) => element.setAttribute(name, value));
+    return element;
+}
+
+/**
+ * Draws a valve model as a front elevation with the body cut along the flow axis. Each part is drawn
+ * as the outline of its bounding box: body parts first, then the flow passage through them, then the
+ * internals, ends, actuator and operator from back to front. Hovering a part shows its name.
+ * @param {THREE.Group} model - A model built by buildValveModel, in its closed position and without a parent.
+ * @returns {SVGSVGElement}
+ */
+function createValveSchematic(model) {
+    model.updateMatrixWorld(true);
+    const { dims, endFace, estimate } = model.userData;
+    const { bounds } = estimate;
+    const parts = [];
+    model.traverse((object) => {
+        // The nameplate would hide the section of the body it is fixed to
+        if (!object.isMesh || object.name === 'nameplate') return;
+        if (!object.geometry.boundingBox) object.geometry.computeBoundingBox();
+        const box = object.geometry.boundingBox.clone().applyMatrix4(object.matrixWorld);
+        parts.push({ object, box, section: Boolean(object.material.userData.cutaway) });
+    });
+    parts.sort((a, b) => (b.section - a.section) || (a.box.max.z - b.box.max.z));
+
+    const width = bounds.max.x - bounds.min.x;
+    const height = bounds.max.y - bounds.min.y;
+    const margin = Math.max(width, height) * 0.08;
+    // SVG y points down, so model y is negated
+    const svg = createSvgElement('svg', {
+        viewBox: [bounds.min.x - margin, -bounds.max.y - margin, width + margin * 2, height + margin * 2].join(' '),
+        width: '100%',
+        height: '100%',
+        role: 'img',
+        'aria-label': `${VALVE_FAMILIES[model.userData.valveFamily].label}, front elevation with the body in section`
+    });
+    const addRect = (box, fill) => createSvgElement('rect', {
+        x: box.min.x,
+        y: -box.max.y,
+        width: box.max.x - box.min.x,
+        height: box.max.y - box.min.y,
+        fill,
+        stroke: '#333333',
+        'stroke-width': 1,
+        'vector-effect': 'non-scaling-stroke'
+    });
+
+    let passageDrawn = false;
+    parts.forEach(({ object, box, section }) => {
+        if (!section && !passageDrawn) {
+            const passage = new THREE.Box3(new THREE.Vector3(-endFace, -dims.boreRadius, 0), new THREE.Vector3(endFace, dims.boreRadius, 0));
+            svg.appendChild(addRect(passage, '#ffffff'));
+            passageDrawn = true;
+        }
+        const rect = addRect(box, `#${object.material.color.getHexString()}`);
+        const title = createSvgElement('title', {});
+        title.textContent = object.userData.part ? object.userData.part.label : object.name;
+        rect.appendChild(title);
+        svg.appendChild(rect);
+    });
+
+    // Centre lines of the flow and the stem
+    const dash = [margin * 0.4, margin * 0.1, margin * 0.05, margin * 0.1].join(' ');
+    [
+        [bounds.min.x - margin / 2, 0, bounds.max.x + margin / 2, 0],
+        [0, -bounds.min.y + margin / 2, 0, -bounds.max.y - margin / 2]
+    ].forEach(([x1, y1, x2, y2]) => {
+        svg.appendChild(createSvgElement('line', {
+            x1, y1, x2, y2,
+            stroke: '#0d47a1',
+            'stroke-width': 1,
+            'stroke-dasharray': dash,
+            'vector-effect': 'non-scaling-stroke'
+        }));
+    });
+    return svg;
+}
+
+/**
+ * Shows a configuration as a 2D schematic in place of the 3D model (see initSchematicView).
+ * @param {Object} config - Valve configuration (see buildValveModel).
+ */
+function showValveSchematic(config) {
+    const model = buildValveModel(config);
+    const caption = document.getElementById('viewerCaption');
+    schematicView.innerHTML = '';
+    currentConfig = model ? Object.assign({}, config, { valveFamily: model.userData.valveFamily }) : null;
+    if (caption) caption.textContent = currentConfig ? describeConfig(currentConfig) : '';
+    updateModelEstimate(model);
+    if (!model) return;
+    schematicView.appendChild(createValveSchematic(model));
+    disposeModel(model);
+}
+
+// Thumbnail images already rendered, keyed by configuration
+const thumbnailCache = new Map();
+let thumbnailViewer = null;
+
+// Three-quarter view, so the ends and the actuator both show at thumbnail size
+const THUMBNAIL_VIEW_DIRECTION = new THREE.Vector3(0.6, 0.4, 1);
+
+/**
+ * Renders a small still image of a valve configuration, for recommendation cards.
+ * One offscreen viewer is shared by all thumbnails.
+ * @param {Object} config - Valve configuration (see buildValveModel).
+ * @param {number} [size=96] - Width and height of the image in pixels.
+ * @returns {string|null} PNG data URL (SVG of the 2D schematic without WebGL), or null if the model or renderer is unavailable.
+ */
+function renderValveThumbnail(config, size = 96) {
+    const cacheKey = JSON.stringify(config) + size;
+    if (thumbnailCache.has(cacheKey)) return thumbnailCache.get(cacheKey);
+
+    const model = buildValveModel(config);
+    if (!model) return null;
+
+    if (schematicView) {
+        // No WebGL: the thumbnail is the 2D schematic
+        const svg = new XMLSerializer().serializeToString(createValveSchematic(model));
+        const dataUrl = `data:image/svg+xml;charset=utf-8,${encodeURIComponent(svg)}`;
+        disposeModel(model);
+        thumbnailCache.set(cacheKey, dataUrl);
+        return dataUrl;
+    }
+
+    try {
+        if (!thumbnailViewer) {
+            thumbnailViewer = new ValveViewer(null, { controls: false, fov: 35, preserveDrawingBuffer: true });
+            // Body materials are shared with the main viewer and may carry its cutaway plane
+            thumbnailViewer.renderer.localClippingEnabled = false;
+        }
+        thumbnailViewer.setSize(size, size);
+        thumbnailViewer.scene.add(model);
+        thumbnailViewer.frameObject(model, THUMBNAIL_VIEW_DIRECTION);
+        thumbnailViewer.cancelFrame(); // Drawn right away instead
+        thumbnailViewer.draw();
+        const dataUrl = thumbnailViewer.renderer.domElement.toDataURL('image/png');
+        thumbnailCache.set(cacheKey, dataUrl);
+        return dataUrl;
+    } catch (error) {
+        console.error("Error rendering valve thumbnail:", error);
+        return null;
+    } finally {
+        if (model.parent) model.parent.remove(model);
+        disposeModel(model);
+    }
+}
+
+/**
+ * Loads the valve family of a recommendation card into the 3D viewer and marks the card as selected.
+ * The current material, actuation, size and connection are kept.
+ * @param {HTMLElement} item - The recommendation list item.
+ */
+function selectRecommendation(item) {
+    if (!currentConfig) return;
+    update3DModel(Object.assign({}, currentConfig, { valveFamily: item.dataset.valveFamily }));
+    document.querySelectorAll('#valveList .recommendation-selectable').forEach(other => {
+        other.classList.toggle('active', other === item);
+        other.setAttribute('aria-pressed', other === item ? 'true' : 'false');
+    });
+}
+
+/**
+ * Creates the list item for one recommendation. Items naming a valve family get a thumbnail
+ * and load that family into the 3D viewer when clicked.
+ * @param {string} text - The recommendation text.
+ * @returns {HTMLLIElement}
+ */
+function createRecommendationItem(text) {
+    const li = document.createElement('li');
+    const valveFamily = detectValveFamily(text);
+    if (!valveFamily || !currentConfig) {
+        li.textContent = text;
+        return li;
+    }
+
+    li.className = 'recommendation-selectable d-flex align-items-center gap-3 p-2 mb-2 border rounded';
+    li.dataset.valveFamily = valveFamily;
+    li.tabIndex = 0;
+    li.setAttribute('role', 'button');
+    li.setAttribute('aria-pressed', 'false');
+    li.title = `Show the ${VALVE_FAMILIES[valveFamily].label.toLowerCase()} in the 3D viewer`;
+
+    const thumbnail = renderValveThumbnail(Object.assign({}, currentConfig, { valveFamily }));
+    if (thumbnail) {
+        const img = document.createElement('img');
+        img.src = thumbnail;
+        img.alt = VALVE_FAMILIES[valveFamily].label;
+        img.width = 64;
+        img.height = 64;
+        img.className = 'recommendation-thumbnail rounded flex-shrink-0';
+        li.appendChild(img);
+    }
+    const span = document.createElement('span');
+    span.textContent = text;
+    // Manual valves: the operator this family needs at the entered size and pressure
+    if (currentConfig.actuationType === 'manual') {
+        const dims = getValveDimensions(currentConfig.nominalDiameter);
+        const manualOperator = selectManualOperator(VALVE_FAMILIES[valveFamily], dims.dn, currentConfig.differentialPressure);
+        const operatorNote = document.createElement('small');
+        operatorNote.className = 'd-block text-muted';
+        operatorNote.textContent = `Manual operator: ${MANUAL_OPERATORS[manualOperator].label}`;
+        span.appendChild(operatorNote);
+    }
+    li.appendChild(span);
+
+    li.addEventListener('click', () => selectRecommendation(li));
+    li.addEventListener('keydown', (event) => {
+        if (event.key === 'Enter' || event.key === ' ') {
+            event.preventDefault();
+            selectRecommendation(li);
+        }
+    });
+    return li;
+}
+
+/**
+ * Shows the variants and accessories of the selected actuation type. Manual actuation has none;
+ * options and accessories marked with data-actuation belong to that actuation type only.
+ */
+function updateActuatorOptions() {
+    const actuationType = document.getElementById('actuationType');
+    const actuatorOptions = document.getElementById('actuatorOptions');
+    const actuatorVariant = document.getElementById('actuatorVariant');
+    if (!actuationType || !actuatorOptions || !actuatorVariant) {
+        console.warn("Actuator option elements not found. Check HTML IDs.");
+        return;
+    }
+    const type = actuationType.value;
+    actuatorOptions.classList.toggle('d-none', type !== 'electric' && type !== 'pneumatic');
+
+    Array.from(actuatorVariant.options).forEach((option) => {
+        option.hidden = option.disabled = option.dataset.actuation !== type;
+    });
+    const selected = actuatorVariant.options[actuatorVariant.selectedIndex];
+    if (!selected || selected.disabled) {
+        actuatorVariant.value = DEFAULT_ACTUATOR_VARIANTS[type] || '';
     }
 
-    if (valveGroup.children.length > 0) {
-        currentModel = valveGroup;
-        scene.add(currentModel);
-        camera.position.set(0, 0, 5);
-        controls.update();
-        console.log("New 3D model added to scene.");
+    actuatorOptions.querySelectorAll('input[name="actuatorAccessories"][data-actuation]').forEach((checkbox) => {
+        checkbox.disabled = checkbox.dataset.actuation !== type;
+        if (checkbox.disabled) checkbox.checked = false;
+    });
+
+    // A fail-safe position chosen before switching to pneumatic decides the variant
+    const failSafePosition = document.getElementById('failSafePosition');
+    if (failSafePosition) syncFailSafePosition(failSafePosition);
+}
+
+/**
+ * Keeps the pneumatic actuator variant and the fail-safe position in step: spring return fails closed or open,
+ * double-acting fails last. Electric actuators reach any fail-safe position with a fail-safe unit.
+ * @param {HTMLSelectElement} changed - The select the user changed: actuator variant or fail-safe position.
+ */
+function syncFailSafePosition(changed) {
+    const actuationType = document.getElementById('actuationType');
+    const actuatorVariant = document.getElementById('actuatorVariant');
+    const failSafePosition = document.getElementById('failSafePosition');
+    if (!actuationType || actuationType.value !== 'pneumatic' || !actuatorVariant || !failSafePosition) return;
+
+    if (changed === failSafePosition) {
+        const failSafe = FAIL_SAFE_POSITIONS[failSafePosition.value];
+        if (failSafe) actuatorVariant.value = failSafe.pneumaticVariant;
     } else {
-        console.log("No 3D model generated (valveGroup is empty).");
+        const springReturn = SPRING_RETURN_VARIANTS[actuatorVariant.value];
+        failSafePosition.value = springReturn ? springReturn.failSafePosition : 'fail_last';
     }
 }
 
 // Initialize 3D scene and attach event listeners when the window loads
 window.onload = function() {
     init3D();
-    animate3D();
+    requestRender();
 
     // Add event listeners for info icons after the DOM is fully loaded
     // Ensure the elements exist before adding listeners
@@ -302,6 +3639,129 @@ window.onload = function() {
         console.warn("Safety Factor info elements not found. Check HTML IDs.");
     }
 
+    // Actuator variants and accessories follow the actuation type
+    const actuationTypeSelect = document.getElementById('actuationType');
+    if (actuationTypeSelect) {
+        actuationTypeSelect.addEventListener('change', updateActuatorOptions);
+        updateActuatorOptions();
+    } else {
+        console.warn("Actuation type select not found. Check HTML IDs.");
+    }
+    const actuatorVariantSelect = document.getElementById('actuatorVariant');
+    const failSafePositionSelect = document.getElementById('failSafePosition');
+    if (actuatorVariantSelect && failSafePositionSelect) {
+        actuatorVariantSelect.addEventListener('change', () => syncFailSafePosition(actuatorVariantSelect));
+        failSafePositionSelect.addEventListener('change', () => syncFailSafePosition(failSafePositionSelect));
+    } else {
+        console.warn("Actuator variant or fail-safe position select not found. Check HTML IDs.");
+    }
+
+    // Stroke simulation controls under the 3D viewer
+    const strokeSlider = document.getElementById('strokeSlider');
+    const strokePlayButton = document.getElementById('strokePlayButton');
+    if (strokeSlider && strokePlayButton) {
+        strokeSlider.addEventListener('input', function() {
+            setStrokePlaying(false);
+            setStrokePosition(strokeSlider.value / 100);
+        });
+        strokePlayButton.addEventListener('click', function() {
+            setStrokePlaying(!strokeState.playing);
+        });
+        const failSafeButton = document.getElementById('failSafeButton');
+        if (failSafeButton) {
+            failSafeButton.addEventListener('click', simulateSupplyFailure);
+        }
+    } else {
+        console.warn("Stroke control elements not found. Check HTML IDs.");
+    }
+
+    // Model export menu
+    document.querySelectorAll('[data-export-format]').forEach(function(item) {
+        item.addEventListener('click', function() {
+            exportModel(item.dataset.exportFormat);
+        });
+    });
+
+    // Cutaway view controls
+    const cutawayToggle = document.getElementById('cutawayToggle');
+    const cutawaySlider = document.getElementById('cutawaySlider');
+    if (cutawayToggle && cutawaySlider) {
+        const onCutawayChange = function() {
+            cutawaySlider.disabled = !cutawayToggle.checked;
+            setCutaway(cutawayToggle.checked, cutawaySlider.value / 100);
+        };
+        cutawayToggle.addEventListener('change', onCutawayChange);
+        cutawaySlider.addEventListener('input', onCutawayChange);
+    } else {
+        console.warn("Cutaway control elements not found. Check HTML IDs.");
+    }
+
+    // Flow overlay toggle
+    const flowToggle = document.getElementById('flowToggle');
+    if (flowToggle) {
+        flowToggle.addEventListener('change', function() {
+            setFlowEnabled(flowToggle.checked);
+        });
+    } else {
+        console.warn("Flow overlay toggle not found. Check HTML IDs.");
+    }
+
+    // Dimension lines and measure tool
+    const dimensionsToggle = document.getElementById('dimensionsToggle');
+    const measureToggle = document.getElementById('measureToggle');
+    if (dimensionsToggle && measureToggle) {
+        dimensionsToggle.addEventListener('change', function() {
+            setDimensionsEnabled(dimensionsToggle.checked);
+        });
+        measureToggle.addEventListener('change', function() {
+            setMeasureEnabled(measureToggle.checked);
+        });
+    } else {
+        console.warn("Dimension or measure toggle not found. Check HTML IDs.");
+    }
+
+    // Camera preset views and reset
+    document.querySelectorAll('[data-camera-preset]').forEach(function(button) {
+        button.addEventListener('click', function() {
+            setCameraPreset(button.dataset.cameraPreset);
+        });
+    });
+
+    // Pipeline mode controls
+    const pipelineToggle = document.getElementById('pipelineToggle');
+    const pipelineOrientation = document.getElementById('pipelineOrientation');
+    const flowArrowToggle = document.getElementById('flowArrowToggle');
+    if (pipelineToggle && pipelineOrientation && flowArrowToggle) {
+        const onPipelineChange = function() {
+            pipelineOrientation.disabled = !pipelineToggle.checked;
+            flowArrowToggle.disabled = !pipelineToggle.checked;
+            setPipeline({
+                enabled: pipelineToggle.checked,
+                orientation: pipelineOrientation.value,
+                showArrow: flowArrowToggle.checked
+            });
+        };
+        pipelineToggle.addEventListener('change', onPipelineChange);
+        pipelineOrientation.addEventListener('change', onPipelineChange);
+        flowArrowToggle.addEventListener('change', onPipelineChange);
+    } else {
+        console.warn("Pipeline control elements not found. Check HTML IDs.");
+    }
+
+    // Compare mode: pins the configuration shown and splits the viewer
+    const compareButton = document.getElementById('compareButton');
+    if (compareButton) {
+        compareButton.addEventListener('click', function() {
+            if (compareState.enabled) {
+                stopCompare();
+            } else {
+                startCompare();
+            }
+        });
+    } else {
+        console.warn("Compare button not found. Check HTML IDs.");
+    }
+
     const differentialPressureInfoIcon = document.getElementById('differentialPressureInfoIcon');
     const differentialPressureInfoText = document.getElementById('differentialPressureInfoText');
     if (differentialPressureInfoIcon && differentialPressureInfoText) {
@@ -330,6 +3790,13 @@ document.getElementById('valveConfiguratorForm').addEventListener('submit', asyn
     const mainFunction = form.mainFunction.value;
     const bodyBonnetMaterial = form.bodyBonnetMaterial.value;
     const actuationType = form.actuationType.value;
+    // Variants and accessories only apply to powered actuators (see updateActuatorOptions)
+    const poweredActuator = actuationType === 'electric' || actuationType === 'pneumatic';
+    const actuatorVariant = poweredActuator ? form.actuatorVariant.value : '';
+    const actuatorAccessories = poweredActuator
+        ? Array.from(form.querySelectorAll('input[name="actuatorAccessories"]:checked:enabled'), input => input.value)
+        : [];
+    const failSafePosition = poweredActuator ? form.failSafePosition.value : '';
     const temperature = parseFloat(form.temperature.value);
     const pressure = parseFloat(form.pressure.value);
     const sealSurfaceMaterial = form.sealSurfaceMaterial.value;
@@ -343,7 +3810,7 @@ document.getElementById('valveConfiguratorForm').addEventListener('submit', asyn
     const aiPrompt = form.aiPrompt.value;
 
     console.log("Form Values:", {
-        mainFunction, bodyBonnetMaterial, actuationType, temperature, pressure,
+        mainFunction, bodyBonnetMaterial, actuationType, actuatorVariant, actuatorAccessories, failSafePosition, temperature, pressure,
         sealSurfaceMaterial, connectionType, nominalDiameter, mediaData, lubricantType,
         safetyFactor, differentialPressure, approvals, aiPrompt
     });
@@ -361,8 +3828,32 @@ document.getElementById('valveConfiguratorForm').addEventListener('submit', asyn
     let recommendations = new Set();
     let suitable = true;
 
-    // Update the 3D model based on the main function, material, and actuation type
-    update3DModel(mainFunction, bodyBonnetMaterial, actuationType);
+    // Prepare data for the backend (Gemini API)
+    const formData = {
+        mainFunction, bodyBonnetMaterial, actuationType, actuatorVariant, actuatorAccessories, failSafePosition, temperature, pressure,
+        sealSurfaceMaterial, connectionType, nominalDiameter, mediaData, lubricantType,
+        safetyFactor, differentialPressure, approvals, aiPrompt
+    };
+    currentInputs = formData;
+    currentRecommendations = [];
+
+    // Update the 3D model based on the main function, material, actuation type, size and connection
+    update3DModel({
+        valveFunction: mainFunction,
+        bodyMaterial: bodyBonnetMaterial,
+        actuationType,
+        actuatorVariant,
+        actuatorAccessories,
+        failSafePosition,
+        nominalDiameter: parseNominalDiameter(nominalDiameter, connectionType),
+        pressure,
+        temperature,
+        approvals,
+        connectionType,
+        sealMaterial: sealSurfaceMaterial,
+        mediaData,
+        differentialPressure
+    });
 
     // --- Start of Guy-Lussac-like Pressure/Temperature Relationship Logic ---
     // These are simplified checks for potentially problematic P/T combinations,
@@ -412,12 +3903,6 @@ document.getElementById('valveConfiguratorForm').addEventListener('submit', asyn
     // --- End of Guy-Lussac-like Pressure/Temperature Relationship Logic ---
 
 
-    // Prepare data for the backend (Gemini API)
-    const formData = {
-        mainFunction, bodyBonnetMaterial, actuationType, temperature, pressure,
-        sealSurfaceMaterial, connectionType, nominalDiameter, mediaData, lubricantType,
-        safetyFactor, differentialPressure, approvals, aiPrompt
-    };
 
     try {
         // Fetch recommendations from your backend using a relative URL
@@ -454,12 +3939,17 @@ document.getElementById('valveConfiguratorForm').addEventListener('submit', asyn
     if (suitable && recommendations.size > 0) {
         valveList.innerHTML = '';
         recommendations.forEach(valve => {
-            const li = document.createElement('li');
-            li.textContent = valve;
-            valveList.appendChild(li);
+            valveList.appendChild(createRecommendationItem(valve));
         });
         noResultsMessage.classList.add('d-none');
         console.log("Recommendations displayed:", Array.from(recommendations));
+        currentRecommendations = Array.from(recommendations);
+
+        // Show the first valve family the recommendations talk about
+        const firstSelectable = valveList.querySelector('.recommendation-selectable');
+        if (firstSelectable) {
+            selectRecommendation(firstSelectable);
+        }
     } else {
         valveList.innerHTML = '';
         noResultsMessage.classList.remove('d-none');
@@ -467,6 +3957,7 @@ document.getElementById('valveConfiguratorForm').addEventListener('submit', asyn
         resultsDiv.classList.add('alert-warning');
         console.log("No suitable recommendations found or an error occurred.");
     }
+    updateCompareView();
 });
 
 // Bootstrap form validation boilerplate
@@ -0,0 +1,155 @@
+// valveStandards.js
+// Dimension tables from valve and flange standards, and the lookups script.js sizes its 3D models with.
+// Loaded as a plain script before script.js, and as a CommonJS module by tests/valveStandards.test.js.
+
+// EN 558 basic series: face-to-face length in mm by DN, for flanged and wafer valves
+const EN_558_SERIES = {
+    // Globe and diaphragm valves (DIN 3202 F1)
+    1: {
+        15: 130, 20: 150, 25: 160, 32: 180, 40: 200, 50: 230, 65: 290, 80: 310, 100: 350, 125: 400,
+        150: 480, 200: 600, 250: 730, 300: 850, 350: 980, 400: 1100, 450: 1200, 500: 1250, 600: 1450
+    },
+    // Short gate valves (DIN 3202 F4)
+    14: {
+        40: 140, 50: 150, 65: 170, 80: 180, 100: 190, 125: 200, 150: 210, 200: 230, 250: 250, 300: 270,
+        350: 290, 400: 310, 450: 330, 500: 350, 600: 390, 700: 430, 800: 470, 900: 510, 1000: 550
+    },
+    // Wafer butterfly and knife gate valves (ISO 5752 series 20)
+    20: {
+        40: 33, 50: 43, 65: 46, 80: 46, 100: 52, 125: 56, 150: 56, 200: 60, 250: 68, 300: 78,
+        350: 78, 400: 102, 450: 114, 500: 127, 600: 154
+    },
+    // Ball valves (ASME B16.10 Class 150, short pattern)
+    27: {
+        15: 108, 20: 117, 25: 127, 32: 140, 40: 165, 50: 178, 65: 190, 80: 203, 100: 229, 125: 356,
+        150: 394, 200: 457, 250: 533, 300: 610, 350: 686, 400: 762, 450: 864, 500: 914, 600: 1067
+    }
+};
+
+// EN 558 basic series of each valve family. For wafer families the length is the body between the pipe
+// flanges; for the others it is the length over the valve flanges. Needle valves have no EN 558 series.
+const EN_558_FAMILY_SERIES = {
+    gate: 14,
+    globe: 1,
+    diaphragm: 1,
+    ball: 27,
+    butterfly: 20,
+    knife_gate: 20
+};
+
+// EN 1092-1 type 11 flanges by PN and DN: [outside diameter, pitch circle diameter, bolt count, bolt hole diameter] in mm
+const EN_1092_1_FLANGES = {
+    10: {
+        15: [95, 65, 4, 14], 20: [105, 75, 4, 14], 25: [115, 85, 4, 14], 32: [140, 100, 4, 18], 40: [150, 110, 4, 18],
+        50: [165, 125, 4, 18], 65: [185, 145, 8, 18], 80: [200, 160, 8, 18], 100: [220, 180, 8, 18], 125: [250, 210, 8, 18],
+        150: [285, 240, 8, 22], 200: [340, 295, 8, 22], 250: [395, 350, 12, 22], 300: [445, 400, 12, 22], 350: [505, 460, 16, 22],
+        400: [565, 515, 16, 26], 450: [615, 565, 20, 26], 500: [670, 620, 20, 26], 600: [780, 725, 20, 30]
+    },
+    16: {
+        15: [95, 65, 4, 14], 20: [105, 75, 4, 14], 25: [115, 85, 4, 14], 32: [140, 100, 4, 18], 40: [150, 110, 4, 18],
+        50: [165, 125, 4, 18], 65: [185, 145, 8, 18], 80: [200, 160, 8, 18], 100: [220, 180, 8, 18], 125: [250, 210, 8, 18],
+        150: [285, 240, 8, 22], 200: [340, 295, 12, 22], 250: [405, 355, 12, 26], 300: [460, 410, 12, 26], 350: [520, 470, 16, 26],
+        400: [580, 525, 16, 30], 450: [640, 585, 20, 30], 500: [715, 650, 20, 33], 600: [840, 770, 20, 36]
+    },
+    25: {
+        15: [95, 65, 4, 14], 20: [105, 75, 4, 14], 25: [115, 85, 4, 14], 32: [140, 100, 4, 18], 40: [150, 110, 4, 18],
+        50: [165, 125, 4, 18], 65: [185, 145, 8, 18], 80: [200, 160, 8, 18], 100: [235, 190, 8, 22], 125: [270, 220, 8, 26],
+        150: [300, 250, 8, 26], 200: [360, 310, 12, 26], 250: [425, 370, 12, 30], 300: [485, 430, 16, 30], 350: [555, 490, 16, 33],
+        400: [620, 550, 16, 36], 450: [670, 600, 20, 36], 500: [730, 660, 20, 36], 600: [845, 770, 20, 39]
+    },
+    40: {
+        15: [95, 65, 4, 14], 20: [105, 75, 4, 14], 25: [115, 85, 4, 14], 32: [140, 100, 4, 18], 40: [150, 110, 4, 18],
+        50: [165, 125, 4, 18], 65: [185, 145, 8, 18], 80: [200, 160, 8, 18], 100: [235, 190, 8, 22], 125: [270, 220, 8, 26],
+        150: [300, 250, 8, 26], 200: [375, 320, 12, 30], 250: [450, 385, 12, 33], 300: [515, 450, 16, 33], 350: [580, 510, 16, 36],
+        400: [660, 585, 16, 39], 450: [685, 610, 20, 39], 500: [755, 670, 20, 42], 600: [890, 795, 20, 48]
+    }
+};
+
+// ASME B16.5 flanges by class and DN (NPS converted), same columns as EN_1092_1_FLANGES.
+// Class 2500 stops at NPS 12, as in the standard.
+const ASME_B16_5_FLANGES = {
+    300: {
+        15: [95, 66.7, 4, 15.9], 20: [117, 82.6, 4, 19.1], 25: [124, 88.9, 4, 19.1], 32: [133, 98.4, 4, 19.1], 40: [156, 114.3, 4, 22.2],
+        50: [165, 127, 8, 19.1], 65: [191, 149.2, 8, 22.2], 80: [210, 168.3, 8, 22.2], 100: [254, 200, 8, 22.2], 125: [279, 235, 8, 22.2],
+        150: [318, 269.9, 12, 22.2], 200: [381, 330.2, 12, 25.4], 250: [445, 387.4, 16, 28.6], 300: [521, 450.8, 16, 31.8], 350: [584, 514.4, 20, 31.8],
+        400: [648, 571.5, 20, 34.9], 450: [711, 628.6, 24, 34.9], 500: [775, 685.8, 24, 34.9], 600: [914, 812.8, 24, 41.3]
+    },
+    600: {
+        15: [95, 66.7, 4, 15.9], 20: [117, 82.6, 4, 19.1], 25: [124, 88.9, 4, 19.1], 32: [133, 98.4, 4, 19.1], 40: [156, 114.3, 4, 22.2],
+        50: [165, 127, 8, 19.1], 65: [191, 149.2, 8, 22.2], 80: [210, 168.3, 8, 22.2], 100: [273, 215.9, 8, 25.4], 125: [330, 266.7, 8, 28.6],
+        150: [356, 292.1, 12, 28.6], 200: [419, 349.2, 12, 31.8], 250: [508, 431.8, 16, 34.9], 300: [559, 489, 20, 34.9], 350: [603, 527, 20, 38.1],
+        400: [686, 603.2, 20, 41.3], 450: [743, 654, 20, 44.5], 500: [813, 723.9, 24, 44.5], 600: [940, 838.2, 24, 50.8]
+    },
+    900: {
+        15: [121, 82.6, 4, 22.2], 20: [130, 88.9, 4, 22.2], 25: [149, 101.6, 4, 25.4], 32: [159, 111.1, 4, 25.4], 40: [178, 123.8, 4, 28.6],
+        50: [216, 165.1, 8, 25.4], 65: [244, 190.5, 8, 28.6], 80: [241, 190.5, 8, 25.4], 100: [292, 235, 8, 31.8], 125: [349, 279.4, 8, 34.9],
+        150: [381, 317.5, 12, 31.8], 200: [470, 393.7, 12, 38.1], 250: [546, 469.9, 16, 38.1], 300: [610, 533.4, 20, 38.1], 350: [641, 558.8, 20, 41.3],
+        400: [705, 616, 20, 44.5], 450: [787, 685.8, 20, 50.8], 500: [857, 749.3, 20, 54], 600: [1041, 901.7, 20, 66.7]
+    },
+    1500: {
+        15: [121, 82.6, 4, 22.2], 20: [130, 88.9, 4, 22.2], 25: [149, 101.6, 4, 25.4], 32: [159, 111.1, 4, 25.4], 40: [178, 123.8, 4, 28.6],
+        50: [216, 165.1, 8, 25.4], 65: [244, 190.5, 8, 28.6], 80: [267, 203.2, 8, 31.8], 100: [311, 241.3, 8, 34.9], 125: [375, 292.1, 8, 41.3],
+        150: [394, 317.5, 12, 38.1], 200: [483, 393.7, 12, 44.5], 250: [584, 482.6, 12, 50.8], 300: [673, 571.5, 16, 54], 350: [749, 635, 16, 60.3],
+        400: [826, 704.8, 16, 66.7], 450: [914, 774.7, 16, 73], 500: [984, 831.8, 16, 79.4], 600: [1168, 990.6, 16, 92.1]
+    },
+    2500: {
+        15: [133, 88.9, 4, 22.2], 20: [140, 95.2, 4, 22.2], 25: [159, 108, 4, 25.4], 32: [184, 130.2, 4, 28.6], 40: [203, 146, 4, 31.8],
+        50: [235, 171.4, 8, 28.6], 65: [267, 196.8, 8, 31.8], 80: [305, 228.6, 8, 34.9], 100: [356, 273, 8, 41.3], 125: [419, 323.8, 8, 47.6],
+        150: [483, 368.3, 8, 54], 200: [552, 438.2, 12, 54], 250: [673, 539.8, 12, 66.7], 300: [762, 619.1, 12, 73]
+    }
+};
+
+// Flange ratings in the order they are tried: the first one rated for the pressure is used.
+// maxPressure is the rating at ambient temperature in bar (ASME: material group 1.1 carbon steel).
+const FLANGE_RATINGS = [
+    { standard: 'EN 1092-1', rating: 'PN10', maxPressure: 10, table: EN_1092_1_FLANGES[10] },
+    { standard: 'EN 1092-1', rating: 'PN16', maxPressure: 16, table: EN_1092_1_FLANGES[16] },
+    { standard: 'EN 1092-1', rating: 'PN25', maxPressure: 25, table: EN_1092_1_FLANGES[25] },
+    { standard: 'EN 1092-1', rating: 'PN40', maxPressure: 40, table: EN_1092_1_FLANGES[40] },
+    { standard: 'ASME B16.5', rating: 'Class 300', maxPressure: 51.1, table: ASME_B16_5_FLANGES[300] },
+    { standard: 'ASME B16.5', rating: 'Class 600', maxPressure: 102.1, table: ASME_B16_5_FLANGES[600] },
+    { standard: 'ASME B16.5', rating: 'Class 900', maxPressure: 153.2, table: ASME_B16_5_FLANGES[900] },
+    { standard: 'ASME B16.5', rating: 'Class 1500', maxPressure: 255.3, table: ASME_B16_5_FLANGES[1500] },
+    { standard: 'ASME B16.5', rating: 'Class 2500', maxPressure: 425.5, table: ASME_B16_5_FLANGES[2500] }
+];
+
+// Pressure assumed when none was entered, in bar
+const DEFAULT_FLANGE_PRESSURE = 16;
+
+/**
+ * Looks up the face-to-face length of a valve family in its EN 558 basic series.
+ * @param {string} valveFamily - Key of VALVE_FAMILIES in script.js.
+ * @param {number} dn - Nominal diameter in mm.
+ * @returns {{length: number, series: number}|null} Length in mm and the series, or null if the family
+ *     has no series or the DN is not in it.
+ */
+function getStandardFaceToFace(valveFamily, dn) {
+    const series = EN_558_FAMILY_SERIES[valveFamily];
+    const length = series && EN_558_SERIES[series][dn];
+    return length ? { length, series } : null;
+}
+
+/**
+ * Looks up the flange for a DN and pressure: EN 1092-1 up to PN40, ASME B16.5 Class 300 to 2500 above.
+ * Pressures above the highest rating tabulated for the DN get the flange of that rating, e.g. Class 1500
+ * for DN400 above 255 bar, since Class 2500 stops at DN300.
+ * @param {number} dn - Nominal diameter in mm.
+ * @param {number|null} pressure - Operating pressure in bar; DEFAULT_FLANGE_PRESSURE when null.
+ * @returns {{standard: string, rating: string, outerDiameter: number, pitchCircleDiameter: number,
+ *     boltCount: number, boltHoleDiameter: number}|null} Flange dimensions in mm, or null if the DN is not tabulated.
+ */
+function getStandardFlange(dn, pressure) {
+    const designPressure = pressure || DEFAULT_FLANGE_PRESSURE;
+    const ratings = FLANGE_RATINGS.filter(entry => entry.table[dn]);
+    if (!ratings.length) return null;
+    const rating = ratings.find(entry => entry.maxPressure >= designPressure) || ratings[ratings.length - 1];
+    const [outerDiameter, pitchCircleDiameter, boltCount, boltHoleDiameter] = rating.table[dn];
+    return { standard: rating.standard, rating: rating.rating, outerDiameter, pitchCircleDiameter, boltCount, boltHoleDiameter };
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        EN_558_SERIES, EN_558_FAMILY_SERIES, EN_1092_1_FLANGES, ASME_B16_5_FLANGES, FLANGE_RATINGS,
+        DEFAULT_FLANGE_PRESSURE, getStandardFaceToFace, getStandardFlange
+    };
+}
@@ -0,0 +1,78 @@
+// Tests of the dimension tables and lookups in static/valveStandards.js.
+// Run with Node's built-in test runner: node --test tests/
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+    EN_558_SERIES, EN_558_FAMILY_SERIES, FLANGE_RATINGS, DEFAULT_FLANGE_PRESSURE,
+    getStandardFaceToFace, getStandardFlange
+} = require('../static/valveStandards.js');
+
+test('getStandardFaceToFace looks up the EN 558 series of the family', () => {
+    assert.deepEqual(getStandardFaceToFace('gate', 100), { length: 190, series: 14 });
+    assert.deepEqual(getStandardFaceToFace('globe', 50), { length: 230, series: 1 });
+    assert.deepEqual(getStandardFaceToFace('butterfly', 300), { length: 78, series: 20 });
+});
+
+test('getStandardFaceToFace returns null without a series or a tabulated DN', () => {
+    assert.equal(getStandardFaceToFace('needle', 25), null);
+    assert.equal(getStandardFaceToFace('gate', 15), null);
+    assert.equal(getStandardFaceToFace('ball', 55), null);
+});
+
+test('getStandardFlange picks the EN 1092-1 PN16 flange', () => {
+    assert.deepEqual(getStandardFlange(100, 16), {
+        standard: 'EN 1092-1', rating: 'PN16', outerDiameter: 220, pitchCircleDiameter: 180, boltCount: 8, boltHoleDiameter: 18
+    });
+});
+
+test('getStandardFlange assumes the default pressure when none is given', () => {
+    assert.equal(getStandardFlange(200, null).rating, `PN${DEFAULT_FLANGE_PRESSURE}`);
+});
+
+test('getStandardFlange picks the lightest rating for the pressure', () => {
+    assert.equal(getStandardFlange(100, 10).rating, 'PN10');
+    assert.equal(getStandardFlange(100, 17).rating, 'PN25');
+    assert.equal(getStandardFlange(100, 45).rating, 'Class 300');
+});
+
+test('getStandardFlange picks ASME B16.5 Class 600 and above for high pressures', () => {
+    assert.deepEqual(getStandardFlange(100, 60), {
+        standard: 'ASME B16.5', rating: 'Class 600', outerDiameter: 273, pitchCircleDiameter: 215.9, boltCount: 8, boltHoleDiameter: 25.4
+    });
+    assert.equal(getStandardFlange(150, 150).rating, 'Class 900');
+    assert.equal(getStandardFlange(200, 200).rating, 'Class 1500');
+    assert.equal(getStandardFlange(300, 400).rating, 'Class 2500');
+});
+
+test('getStandardFlange clamps to the heaviest rating tabulated for the DN', () => {
+    // Above Class 2500
+    assert.equal(getStandardFlange(100, 600).rating, 'Class 2500');
+    // Class 2500 stops at DN300
+    const flange = getStandardFlange(400, 300);
+    assert.equal(flange.rating, 'Class 1500');
+    assert.equal(flange.outerDiameter, 826);
+});
+
+test('getStandardFlange returns null for a DN no table has', () => {
+    assert.equal(getStandardFlange(55, 16), null);
+    assert.equal(getStandardFlange(1000, 16), null);
+});
+
+test('flange ratings are ordered by pressure and have consistent rows', () => {
+    FLANGE_RATINGS.forEach((entry, i) => {
+        if (i > 0) assert.ok(entry.maxPressure > FLANGE_RATINGS[i - 1].maxPressure, entry.rating);
+        Object.entries(entry.table).forEach(([dn, row]) => {
+            const [outerDiameter, pitchCircleDiameter, boltCount, boltHoleDiameter] = row;
+            assert.equal(row.length, 4, `${entry.rating} DN${dn}`);
+            assert.ok(outerDiameter > pitchCircleDiameter + boltHoleDiameter, `${entry.rating} DN${dn}`);
+            assert.ok(pitchCircleDiameter - boltHoleDiameter > Number(dn), `${entry.rating} DN${dn}`);
+            assert.equal(boltCount % 4, 0, `${entry.rating} DN${dn}`);
+        });
+    });
+});
+
+test('every family series is tabulated', () => {
+    Object.values(EN_558_FAMILY_SERIES).forEach(series => assert.ok(EN_558_SERIES[series], `series ${series}`));
+});